@@ -1,11 +1,24 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const {
+  verifySignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_ID_HEADER,
+  IDEMPOTENCY_KEY_HEADER,
+  DEFAULT_TOLERANCE_SECONDS
+} = require('./src/utils/webhookSignature');
+const config = require('./src/config');
 const app = express();
 
 // Puerto para el webhook mock
 const PORT = process.env.MOCK_WEBHOOK_PORT || 5678;
 
+// Si se define, se verifican las firmas y se rechazan peticiones con firma inválida o caducada.
+// Las repetidas (misma Idempotency-Key) se confirman sin volver a procesarlas, haya o no secreto
+const WEBHOOK_SECRET = process.env.MOCK_WEBHOOK_SECRET || '';
+
 // Directorios para almacenar mensajes y medios recibidos
 const messagesDir = path.join(__dirname, 'received-messages');
 const mediaDir = path.join(__dirname, 'received-media');
@@ -19,7 +32,81 @@ if (!fs.existsSync(mediaDir)) {
 }
 
 // Middleware para parsear JSON (aumentar límite para medios grandes)
-app.use(express.json({ limit: '50mb' }));
+// Se conserva el body crudo porque la firma se calcula sobre los bytes exactos recibidos
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Ventana durante la que el outbox puede repetir una entrega: la suma de los backoffs
+// (BACKEND_RETRY_DELAY, 2x, 4x... con tope BACKEND_MAX_RETRY_DELAY) más el timeout de cada
+// intento y la tolerancia del timestamp. Se puede fijar con MOCK_WEBHOOK_DEDUP_TTL_MS
+const computeRetryWindowMs = () => {
+  const { retries, retryDelay, maxRetryDelay, timeout } = config.backend;
+  let windowMs = (retries + 1) * timeout + DEFAULT_TOLERANCE_SECONDS * 1000;
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    windowMs += Math.min(retryDelay * Math.pow(2, attempt - 1), maxRetryDelay);
+  }
+
+  return windowMs;
+};
+
+const DEDUP_TTL_MS = parseInt(process.env.MOCK_WEBHOOK_DEDUP_TTL_MS || String(computeRetryWindowMs()), 10);
+
+// Entregas ya procesadas (Idempotency-Key, o delivery-id si no la trae -> timestamp)
+const seenDeliveries = new Map();
+
+// Middleware de verificación de firma (solo activo con MOCK_WEBHOOK_SECRET)
+const verifyWebhookRequest = (req, res, next) => {
+  if (!WEBHOOK_SECRET) {
+    return next();
+  }
+
+  const deliveryId = req.get(DELIVERY_ID_HEADER);
+  const result = verifySignature({
+    secret: WEBHOOK_SECRET,
+    signature: req.get(SIGNATURE_HEADER),
+    timestamp: req.get(TIMESTAMP_HEADER),
+    body: req.rawBody || ''
+  });
+
+  if (!result.valid) {
+    console.warn(`⛔ Petición rechazada (${deliveryId || 'sin delivery-id'}): ${result.reason}`);
+    return res.status(401).json({ success: false, error: result.reason });
+  }
+
+  console.log(`🔐 Firma verificada para entrega ${deliveryId}`);
+  next();
+};
+
+// Middleware de deduplicación. Un reintento (p. ej. si se perdió nuestra respuesta) o un
+// reenvío del mismo mensaje repite la Idempotency-Key: se confirma sin volver a procesarlo,
+// para que el emisor no lo mande a dead-letter
+const skipDuplicateDeliveries = (req, res, next) => {
+  const dedupKey = req.get(IDEMPOTENCY_KEY_HEADER) || req.get(DELIVERY_ID_HEADER);
+  if (!dedupKey) {
+    return next();
+  }
+
+  // Olvidar las entregas que ya no se pueden repetir
+  const now = Date.now();
+  for (const [key, receivedAt] of seenDeliveries) {
+    if (now - receivedAt > DEDUP_TTL_MS) {
+      seenDeliveries.delete(key);
+    }
+  }
+
+  if (seenDeliveries.has(dedupKey)) {
+    console.log(`♻️ Entrega repetida ${dedupKey}: ya procesada, no se vuelve a procesar`);
+    return res.status(200).json({ success: true, duplicate: true, message: 'Entrega ya procesada' });
+  }
+
+  seenDeliveries.set(dedupKey, now);
+  next();
+};
 
 // Función para guardar un archivo de media
 const saveMedia = (mediaInfo, chatId, messageId) => {
@@ -119,7 +206,7 @@ const getMediaIcon = (mediaType) => {
 };
 
 // Endpoint principal para recibir mensajes
-app.post('/webhook/whatsapp-messages', (req, res) => {
+app.post('/webhook/whatsapp-messages', verifyWebhookRequest, skipDuplicateDeliveries, (req, res) => {
   console.log('\n=============================================');
   console.log('🔔 MENSAJE RECIBIDO DE WHATSAPP');
   console.log('=============================================');
@@ -248,6 +335,8 @@ app.listen(PORT, () => {
   console.log(`   - GET  /messages/:filename         (ver detalles de un mensaje específico)`);
   console.log(`   - GET  /media/:chatId/:filename    (acceder a los archivos de medios guardados)`);
   
+  console.log(`\n🔐 Verificación de firmas: ${WEBHOOK_SECRET ? 'activa (MOCK_WEBHOOK_SECRET)' : 'desactivada'}`);
+  console.log(`\n♻️ Entregas repetidas descartadas durante ${Math.round(DEDUP_TTL_MS / 1000)} s (Idempotency-Key)`);
   console.log(`\n💾 Los mensajes recibidos se guardarán en: ${messagesDir}`);
   console.log(`\n🖼️ Los medios recibidos se guardarán en: ${mediaDir}`);
   console.log(`\n📢 Listo para recibir mensajes de WhatsApp. Configura BACKEND_WEBHOOK_URL=http://localhost:${PORT}/webhook/whatsapp-messages en tu .env\n`);
@@ -15,6 +15,27 @@ if (!fs.existsSync(sessionDataPath)) {
   fs.mkdirSync(sessionDataPath, { recursive: true });
 }
 
+// Crear directorio de datos del servicio (colas, outbox, etc.) si no existe
+const defaultDataPath = path.join(__dirname, '../data');
+const dataPath = process.env.DATA_PATH || defaultDataPath;
+if (!fs.existsSync(dataPath)) {
+  fs.mkdirSync(dataPath, { recursive: true });
+}
+
+/**
+ * Convierte "tenantA:5,tenantB:10" en { tenantA: 5, tenantB: 10 }
+ * @param {string} value - Valor de TENANT_SESSION_LIMITS
+ * @returns {Object} - Límite de sesiones por tenant
+ */
+const parseTenantLimits = (value) => {
+  const limits = {};
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [tenantId, limit] = entry.split(':').map(part => part.trim());
+    limits[tenantId] = parseInt(limit, 10);
+  });
+  return limits;
+};
+
 module.exports = {
   // Servidor
   port: parseInt(process.env.PORT || '3000', 10),
@@ -25,6 +46,7 @@ module.exports = {
   
   // WhatsApp
   sessionDataPath,
+  dataPath,
   maxSessions: parseInt(process.env.MAX_SESSIONS || '30', 10),
   
   // Timeouts y reintentos
@@ -36,9 +58,14 @@ module.exports = {
   backend: {
     apiUrl: process.env.BACKEND_API_URL || 'http://localhost:3000',
     messagesEndpoint: process.env.BACKEND_MESSAGES_ENDPOINT || '/api/v1/whatsapp/messages',
+    // Eventos distintos de mensajes (acks, etc.). Por defecto el mismo endpoint, diferenciados por "event"
+    eventsEndpoint: process.env.BACKEND_EVENTS_ENDPOINT || process.env.BACKEND_MESSAGES_ENDPOINT || '/api/v1/whatsapp/messages',
     timeout: parseInt(process.env.BACKEND_TIMEOUT || '3000', 10), // 3 segundos
     retries: parseInt(process.env.BACKEND_RETRIES || '1', 10), // 1 retry
     retryDelay: parseInt(process.env.BACKEND_RETRY_DELAY || '1000', 10), // 1 segundo
+    maxRetryDelay: parseInt(process.env.BACKEND_MAX_RETRY_DELAY || '300000', 10), // 5 minutos (tope del backoff)
+    // Secreto HMAC para firmar los envíos al backend global (los webhooks de sesión tienen el suyo)
+    webhookSecret: process.env.BACKEND_WEBHOOK_SECRET || '',
     userAgent: `WhatsApp-Microservice/${process.env.WHATSAPP_SERVICE_VERSION || '1.0.0-mvp'}`
   },
 
@@ -55,6 +82,62 @@ module.exports = {
       process.env.ALLOWED_CONTACTS.split(',').map(id => id.trim()).filter(id => id) : []
   },
   
+  // Envío de medios
+  media: {
+    maxSendBytes: parseInt(process.env.MEDIA_MAX_SEND_BYTES || '33554432', 10), // 32MB
+    downloadTimeout: parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT || '30000', 10) // 30 segundos
+  },
+  
+  // Almacenamiento de medios recibidos: el backend recibe una URL firmada en lugar del base64
+  mediaStorage: {
+    enabled: process.env.MEDIA_STORAGE_ENABLED !== 'false', // Por defecto true
+    path: process.env.MEDIA_STORAGE_PATH || path.join(dataPath, 'media'),
+    publicUrl: process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || '3000'}`, // URL con la que el backend llega a este servicio
+    urlTtl: parseInt(process.env.MEDIA_URL_TTL || '86400', 10), // 24 horas, en segundos
+    signingSecret: process.env.MEDIA_SIGNING_SECRET || '',
+    ttlHours: parseInt(process.env.MEDIA_TTL_HOURS || '168', 10), // 7 días sin uso
+    maxSessionBytes: parseInt(process.env.MEDIA_MAX_SESSION_BYTES || '1073741824', 10), // 1GB por sesión
+    maxTotalBytes: parseInt(process.env.MEDIA_MAX_TOTAL_BYTES || '5368709120', 10), // 5GB en total
+    cleanupInterval: parseInt(process.env.MEDIA_CLEANUP_INTERVAL || '3600000', 10), // 1 hora
+    tempMaxAgeMinutes: parseInt(process.env.MEDIA_TEMP_MAX_AGE_MINUTES || '60', 10) // Archivos de media-temp
+  },
+  
+  // Seguimiento de estados de entrega/lectura
+  messageStatus: {
+    maxTrackedPerSession: parseInt(process.env.MESSAGE_STATUS_MAX_TRACKED || '5000', 10)
+  },
+
+  // Recuperación de mensajes recibidos mientras la sesión estaba desconectada
+  backfill: {
+    enabled: process.env.BACKFILL_ENABLED !== 'false', // Por defecto true
+    delayMs: parseInt(process.env.BACKFILL_DELAY_MS || '5000', 10), // Espera tras "ready" para que WhatsApp sincronice
+    maxChats: parseInt(process.env.BACKFILL_MAX_CHATS || '50', 10), // Chats más recientes a revisar
+    maxMessagesPerChat: parseInt(process.env.BACKFILL_MAX_PER_CHAT || '100', 10)
+  },
+
+  // Deduplicación de mensajes entrantes
+  dedup: {
+    maxEntries: parseInt(process.env.DEDUP_MAX_ENTRIES || '10000', 10) // IDs recordados entre todas las sesiones
+  },
+
+  // Caché en memoria de contactos, grupos y números comprobados (claves por sesión)
+  contactsCache: {
+    ttl: parseInt(process.env.CONTACTS_CACHE_TTL || '3600000', 10), // 1 hora
+    maxContacts: parseInt(process.env.CONTACTS_CACHE_MAX_CONTACTS || '10000', 10), // Entre todas las sesiones
+    maxGroups: parseInt(process.env.CONTACTS_CACHE_MAX_GROUPS || '1000', 10),
+    maxNumbers: parseInt(process.env.CONTACTS_CACHE_MAX_NUMBERS || '10000', 10)
+  },
+
+  // Historial local de mensajes (retención según statistics.retentionDays)
+  messageStore: {
+    enabled: process.env.MESSAGE_STORE_ENABLED !== 'false' // Por defecto true
+  },
+  
+  // Webhooks por sesión
+  webhooks: {
+    maxTargetsPerSession: parseInt(process.env.WEBHOOK_MAX_TARGETS_PER_SESSION || '10', 10)
+  },
+  
   // Cache y limpieza
   cacheCleanupInterval: parseInt(process.env.CACHE_CLEANUP_INTERVAL || '7200000', 10), // 2 horas
   sessionCleanupInterval: parseInt(process.env.SESSION_CLEANUP_INTERVAL || '43200000', 10), // 12 horas
@@ -101,8 +184,20 @@ module.exports = {
   // Límites de sesiones
   sessionLimits: {
     maxPerUser: parseInt(process.env.MAX_SESSIONS_PER_USER || '3', 10),
+    tenantOverrides: parseTenantLimits(process.env.TENANT_SESSION_LIMITS), // Ej: "acme:10,demo:1"
     maxGlobal: parseInt(process.env.MAX_SESSIONS || '30', 10),
-    maxReconnectionAttempts: parseInt(process.env.MAX_RECONNECTION_ATTEMPTS || '5', 10)
+    maxReconnectionAttempts: parseInt(process.env.MAX_RECONNECTION_ATTEMPTS || '5', 10),
+    // Ritmo de envío de la cola de salida (anti-ban)
+    messagesPerMinute: parseInt(process.env.MESSAGES_PER_MINUTE || '20', 10),
+    minSendDelayMs: parseInt(process.env.MIN_SEND_DELAY_MS || '1500', 10), // 1.5 segundos
+    maxSendDelayMs: parseInt(process.env.MAX_SEND_DELAY_MS || '4000', 10), // 4 segundos
+    simulateTyping: process.env.SIMULATE_TYPING !== 'false', // Por defecto true
+    typingMsPerChar: parseInt(process.env.TYPING_MS_PER_CHAR || '50', 10),
+    maxTypingMs: parseInt(process.env.MAX_TYPING_MS || '5000', 10), // 5 segundos
+    maxSendAttempts: parseInt(process.env.MAX_SEND_ATTEMPTS || '3', 10),
+    sendRetryDelayMs: parseInt(process.env.SEND_RETRY_DELAY_MS || '10000', 10), // 10 segundos
+    queueHistoryLimit: parseInt(process.env.QUEUE_HISTORY_LIMIT || '200', 10), // Mensajes finalizados que se conservan
+    syncSendTimeoutMs: parseInt(process.env.SYNC_SEND_TIMEOUT_MS || '60000', 10) // 1 minuto (envíos con wait=true)
   },
   
   // Configuraciones de salud del sistema
@@ -134,7 +229,11 @@ module.exports = {
     maxSessionIdLength: parseInt(process.env.MAX_SESSION_ID_LENGTH || '50', 10),
     allowedSessionIdChars: process.env.ALLOWED_SESSION_ID_CHARS || '^[a-zA-Z0-9_-]+$',
     rateLimitRequests: process.env.RATE_LIMIT_REQUESTS === 'true',
-    maxRequestsPerMinute: parseInt(process.env.MAX_REQUESTS_PER_MINUTE || '60', 10)
+    maxRequestsPerMinute: parseInt(process.env.MAX_REQUESTS_PER_MINUTE || '60', 10),
+    // Autenticación por API key (REST y Socket.IO)
+    apiKeyAuth: process.env.API_KEY_AUTH !== 'false',
+    adminApiKey: process.env.ADMIN_API_KEY || '', // Clave de arranque con scope admin, no se guarda en disco
+    corsOrigins: (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean)
   },
   
   // Validación de configuración
@@ -154,10 +253,75 @@ module.exports = {
       errors.push('BACKEND_MESSAGES_ENDPOINT debe comenzar con /');
     }
     
+    if (!this.backend.eventsEndpoint.startsWith('/')) {
+      errors.push('BACKEND_EVENTS_ENDPOINT debe comenzar con /');
+    }
+    
     if (this.backend.timeout < 1000 || this.backend.timeout > 30000) {
       errors.push('BACKEND_TIMEOUT debe estar entre 1000ms y 30000ms');
     }
     
+    if (isNaN(this.backend.retries) || this.backend.retries < 0) {
+      errors.push('BACKEND_RETRIES debe ser un número mayor o igual a 0');
+    }
+    
+    if (isNaN(this.backend.retryDelay) || this.backend.retryDelay < 100) {
+      errors.push('BACKEND_RETRY_DELAY debe ser al menos 100ms');
+    }
+    
+    if (this.security.adminApiKey && this.security.adminApiKey.length < 24) {
+      errors.push('ADMIN_API_KEY debe tener al menos 24 caracteres');
+    }
+    
+    if (!this.mediaStorage.publicUrl.startsWith('http')) {
+      errors.push('MEDIA_PUBLIC_URL debe ser una URL válida que comience con http/https');
+    }
+    
+    if (isNaN(this.mediaStorage.urlTtl) || this.mediaStorage.urlTtl < 60) {
+      errors.push('MEDIA_URL_TTL debe ser al menos 60 segundos');
+    }
+    
+    if (isNaN(this.mediaStorage.ttlHours) || this.mediaStorage.ttlHours < 1) {
+      errors.push('MEDIA_TTL_HOURS debe ser al menos 1');
+    }
+    
+    if (isNaN(this.mediaStorage.maxSessionBytes) || isNaN(this.mediaStorage.maxTotalBytes) ||
+        this.mediaStorage.maxSessionBytes < 1 || this.mediaStorage.maxTotalBytes < this.mediaStorage.maxSessionBytes) {
+      errors.push('MEDIA_MAX_SESSION_BYTES debe ser mayor a 0 y no superar MEDIA_MAX_TOTAL_BYTES');
+    }
+    
+    if (isNaN(this.mediaStorage.cleanupInterval) || this.mediaStorage.cleanupInterval < 60000) {
+      errors.push('MEDIA_CLEANUP_INTERVAL debe ser al menos 60000ms');
+    }
+    
+    if (isNaN(this.dedup.maxEntries) || this.dedup.maxEntries < 100) {
+      errors.push('DEDUP_MAX_ENTRIES debe ser al menos 100');
+    }
+
+    if (isNaN(this.contactsCache.ttl) || this.contactsCache.ttl < 60000) {
+      errors.push('CONTACTS_CACHE_TTL debe ser al menos 60000ms');
+    }
+
+    const { maxContacts, maxGroups, maxNumbers } = this.contactsCache;
+    if ([maxContacts, maxGroups, maxNumbers].some(value => isNaN(value) || value < 100)) {
+      errors.push('CONTACTS_CACHE_MAX_CONTACTS, CONTACTS_CACHE_MAX_GROUPS y CONTACTS_CACHE_MAX_NUMBERS deben ser al menos 100');
+    }
+
+    if (isNaN(this.cacheCleanupInterval) || this.cacheCleanupInterval < 60000) {
+      errors.push('CACHE_CLEANUP_INTERVAL debe ser al menos 60000ms');
+    }
+    
+    if (isNaN(this.backfill.maxChats) || this.backfill.maxChats < 1 ||
+        isNaN(this.backfill.maxMessagesPerChat) || this.backfill.maxMessagesPerChat < 1) {
+      errors.push('BACKFILL_MAX_CHATS y BACKFILL_MAX_PER_CHAT deben ser al menos 1');
+    }
+    
+    Object.entries(this.sessionLimits.tenantOverrides).forEach(([tenantId, limit]) => {
+      if (!tenantId || isNaN(limit) || limit < 0) {
+        errors.push(`TENANT_SESSION_LIMITS tiene un valor inválido para "${tenantId}"`);
+      }
+    });
+    
     if (errors.length > 0) {
       throw new Error(`Errores de configuración:\n${errors.join('\n')}`);
     }
@@ -199,6 +363,15 @@ module.exports = {
       errors.push('MAX_SESSIONS debe ser mayor o igual que MAX_SESSIONS_PER_USER');
     }
     
+    // Validar ritmo de envío de la cola
+    if (this.sessionLimits.messagesPerMinute < 1) {
+      errors.push('MESSAGES_PER_MINUTE debe ser mayor a 0');
+    }
+    
+    if (this.sessionLimits.minSendDelayMs > this.sessionLimits.maxSendDelayMs) {
+      errors.push('MIN_SEND_DELAY_MS no puede ser mayor que MAX_SEND_DELAY_MS');
+    }
+    
     // Validar thresholds de salud
     const healthThresholds = this.health.criticalThresholds;
     if (healthThresholds.systemUsagePercent < 50 || healthThresholds.systemUsagePercent > 100) {
@@ -0,0 +1,53 @@
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+class ApiKeyController {
+  /**
+   * Lista las API keys (sin hashes)
+   */
+  async listKeys(req, res) {
+    return res.status(200).json({
+      success: true,
+      apiKeys: apiKeyService.listKeys()
+    });
+  }
+
+  /**
+   * Crea una API key. Body: { name, scopes: ['read'|'send'|'admin'], sessionIds?: [] }
+   * La clave en claro solo se devuelve en esta respuesta
+   */
+  async createKey(req, res) {
+    try {
+      const { key, apiKey } = apiKeyService.createKey(req.body || {});
+
+      return res.status(201).json({
+        success: true,
+        key,
+        apiKey
+      });
+    } catch (error) {
+      logger.warn('Error al crear API key:', {
+        errorMessage: error.message
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Revoca una API key
+   */
+  async revokeKey(req, res) {
+    try {
+      const apiKey = apiKeyService.revokeKey(req.params.keyId);
+      return res.status(200).json({ success: true, apiKey });
+    } catch (error) {
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -0,0 +1,89 @@
+const whatsappService = require('../services/whatsappService');
+const chatActionService = require('../services/chatActionService');
+const logger = require('../utils/logger');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+class ChatController {
+  /**
+   * Obtiene los últimos mensajes de un chat desde WhatsApp
+   * Query: limit (máx. 100), before (ID de mensaje o timestamp unix), includeMedia=true
+   */
+  async getChatMessages(req, res) {
+    try {
+      const { sessionId, chatId } = req.params;
+      const { before, includeMedia } = req.query;
+      const limit = parseInt(req.query.limit || DEFAULT_HISTORY_LIMIT, 10);
+
+      if (isNaN(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `limit inválido, debe estar entre 1 y ${MAX_HISTORY_LIMIT}`,
+          code: 'INVALID_REQUEST'
+        });
+      }
+
+      const result = await whatsappService.fetchChatMessages(sessionId, chatId, {
+        limit,
+        before: before || null,
+        includeMedia: includeMedia === 'true'
+      });
+
+      return res.status(200).json({
+        success: true,
+        sessionId,
+        count: result.messages.length,
+        ...result
+      });
+    } catch (error) {
+      logger.error('Error al obtener mensajes del chat:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId,
+        chatId: req.params?.chatId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        code
+      });
+    }
+  }
+
+  /**
+   * Ejecuta una acción sobre un chat
+   * Body: { action: 'read' | 'unread' | 'archive' | 'unarchive' | 'pin' | 'unpin' | 'mute' | 'unmute' | 'clear' | 'delete',
+   *         duration?: segundos de silencio para mute (sin duration, para siempre) }
+   */
+  async performChatAction(req, res) {
+    try {
+      const { sessionId, chatId } = req.params;
+      const { action, duration } = req.body || {};
+
+      if (!action) {
+        return res.status(400).json({
+          success: false,
+          error: `action es requerido. Permitidas: ${chatActionService.CHAT_ACTIONS.join(', ')}`,
+          code: 'INVALID_REQUEST'
+        });
+      }
+
+      const result = await chatActionService.performAction(sessionId, chatId, action, { duration });
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      logger.warn('Error al ejecutar acción sobre el chat:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId,
+        chatId: req.params?.chatId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+}
+
+module.exports = new ChatController();
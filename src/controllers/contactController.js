@@ -0,0 +1,113 @@
+const whatsappService = require('../services/whatsappService');
+const contactsManager = require('../services/contactsManager');
+const chatActionService = require('../services/chatActionService');
+const logger = require('../utils/logger');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+class ContactController {
+  /**
+   * Lista la agenda de la sesión
+   * Query: q (nombre o número), limit (máx. 200), offset, onlyMyContacts=true
+   */
+  async listContacts(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { q, limit, offset, onlyMyContacts } = req.query;
+
+      const client = await whatsappService.getConnectedClient(sessionId);
+      const result = await contactsManager.listContacts(sessionId, client, {
+        q,
+        limit,
+        offset,
+        onlyMyContacts: onlyMyContacts === 'true'
+      });
+
+      return res.status(200).json({
+        success: true,
+        sessionId,
+        count: result.contacts.length,
+        ...result
+      });
+    } catch (error) {
+      logger.error('Error al listar contactos:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Comprueba qué números tienen WhatsApp y devuelve su ID para enviarles mensajes
+   * Body: { numbers: ['+54 9 11 2233-4455', ...] } (máx. 100)
+   */
+  async checkNumbers(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { numbers } = req.body || {};
+
+      const client = await whatsappService.getConnectedClient(sessionId);
+      const results = await contactsManager.checkNumbers(sessionId, client, numbers);
+
+      return res.status(200).json({
+        success: true,
+        sessionId,
+        total: results.length,
+        existing: results.filter(result => result.exists).length,
+        results
+      });
+    } catch (error) {
+      logger.error('Error al comprobar números:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Bloquea un contacto
+   */
+  async blockContact(req, res) {
+    try {
+      const { sessionId, contactId } = req.params;
+      const result = await chatActionService.setContactBlocked(sessionId, contactId, true);
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      logger.warn('Error al bloquear contacto:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId,
+        contactId: req.params?.contactId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Desbloquea un contacto
+   */
+  async unblockContact(req, res) {
+    try {
+      const { sessionId, contactId } = req.params;
+      const result = await chatActionService.setContactBlocked(sessionId, contactId, false);
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      logger.warn('Error al desbloquear contacto:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId,
+        contactId: req.params?.contactId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+}
+
+module.exports = new ContactController();
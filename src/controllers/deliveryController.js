@@ -0,0 +1,118 @@
+const backendService = require('../services/backendService');
+const backendOutboxService = require('../services/backendOutboxService');
+const logger = require('../utils/logger');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+const { DELIVERY_STATUS } = backendOutboxService;
+
+class DeliveryController {
+  /**
+   * Lista entregas al backend pendientes de reintento o en dead-letter
+   */
+  async listDeliveries(req, res) {
+    try {
+      const { status = DELIVERY_STATUS.DEAD_LETTER, sessionId, eventType } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+
+      if (!Object.values(DELIVERY_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Estado no válido. Permitidos: ${Object.values(DELIVERY_STATUS).join(', ')}`
+        });
+      }
+
+      const deliveries = backendOutboxService.list(status)
+        .filter(delivery => !sessionId || delivery.sessionId === sessionId)
+        .filter(delivery => !eventType || delivery.eventType === eventType);
+
+      return res.status(200).json({
+        success: true,
+        status,
+        total: deliveries.length,
+        deliveries: deliveries.slice(offset, offset + limit).map(delivery => backendOutboxService.toSummary(delivery)),
+        pagination: { limit, offset, hasMore: offset + limit < deliveries.length },
+        stats: backendOutboxService.getStats(),
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      logger.error('Error al listar entregas al backend:', {
+        errorMessage: error.message,
+        stack: error.stack
+      });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene una entrega completa, incluido el payload
+   */
+  async getDelivery(req, res) {
+    try {
+      const { deliveryId } = req.params;
+      const delivery = backendOutboxService.get(deliveryId);
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: `Entrega ${deliveryId} no encontrada`
+        });
+      }
+
+      return res.status(200).json({ success: true, delivery });
+    } catch (error) {
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Reenvía una entrega de dead-letter
+   */
+  async replayDelivery(req, res) {
+    try {
+      const { deliveryId } = req.params;
+      const result = await backendService.replayDelivery(deliveryId);
+
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      logger.warn('Error al reenviar entrega al backend:', {
+        errorMessage: error.message,
+        deliveryId: req.params?.deliveryId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Reenvía todas las entregas de dead-letter (opcionalmente solo las de una sesión)
+   */
+  async replayAll(req, res) {
+    try {
+      const { sessionId } = req.body || {};
+      const summary = await backendService.replayDeadLetters({ sessionId });
+
+      logger.info(`Reenvío masivo de dead-letter: ${summary.delivered}/${summary.total} entregadas`, {
+        sessionId: sessionId || 'todas'
+      });
+
+      return res.status(200).json({ success: true, ...summary });
+    } catch (error) {
+      logger.error('Error en reenvío masivo de dead-letter:', {
+        errorMessage: error.message,
+        stack: error.stack
+      });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new DeliveryController();
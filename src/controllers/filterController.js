@@ -0,0 +1,158 @@
+const whatsappService = require('../services/whatsappService');
+const messageFilterService = require('../services/messageFilterService');
+const logger = require('../utils/logger');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+class FilterController {
+  /**
+   * Obtiene el modo de filtrado y las reglas por chat de una sesión
+   */
+  async getChatFilters(req, res) {
+    try {
+      const filters = whatsappService.getChatFilters(req.params.sessionId);
+      return res.status(200).json({ success: true, ...filters });
+    } catch (error) {
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Cambia el modo de filtrado y, si se envía chats, reemplaza todas las reglas
+   * Body: { mode?: 'listen-all' | 'allowlist' | 'denylist', chats?: { chatId: boolean } }
+   */
+  async setChatFilters(req, res) {
+    try {
+      const { mode, chats } = req.body || {};
+
+      if (mode === undefined && chats === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Se requiere mode o chats',
+          code: 'INVALID_REQUEST'
+        });
+      }
+
+      const filters = whatsappService.setChatFilters(req.params.sessionId, { mode, chats });
+      return res.status(200).json({ success: true, ...filters });
+    } catch (error) {
+      logger.warn('Error al configurar filtros de chat:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Obtiene las reglas de filtrado de mensajes de una sesión
+   */
+  async getMessageFilters(req, res) {
+    const { sessionId } = req.params;
+
+    return res.status(200).json({
+      success: true,
+      sessionId,
+      rules: messageFilterService.getSessionRules(sessionId),
+      usesGlobalFilters: !messageFilterService.hasOwnRules(sessionId)
+    });
+  }
+
+  /**
+   * Reemplaza las reglas de filtrado de mensajes de una sesión
+   * Body: { rules: [{ id?, action: 'include' | 'exclude', description?, enabled?, match }] }
+   */
+  async setMessageFilters(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { rules } = req.body || {};
+
+      if (rules === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'rules es requerido (lista de reglas, vacía para volver a los filtros globales)',
+          code: 'INVALID_REQUEST'
+        });
+      }
+
+      const saved = messageFilterService.setSessionRules(sessionId, rules);
+
+      return res.status(200).json({
+        success: true,
+        sessionId,
+        rules: saved,
+        usesGlobalFilters: !messageFilterService.hasOwnRules(sessionId)
+      });
+    } catch (error) {
+      logger.warn('Error al configurar reglas de filtrado:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Elimina las reglas de una sesión (vuelve a los filtros globales)
+   */
+  async deleteMessageFilters(req, res) {
+    const { sessionId } = req.params;
+    const existed = messageFilterService.clearSession(sessionId);
+
+    if (!existed) {
+      return res.status(404).json({
+        success: false,
+        error: `La sesión ${sessionId} no tiene reglas de filtrado`,
+        code: 'NOT_FOUND'
+      });
+    }
+
+    logger.info(`Reglas de filtrado eliminadas para sesión ${sessionId}`);
+    return res.status(200).json({ success: true, sessionId });
+  }
+
+  /**
+   * Evalúa un mensaje de ejemplo sin procesarlo. Usa las reglas del body si se envían
+   * (para probarlas antes de guardarlas) o las guardadas de la sesión
+   * Body: { message: { chatId, sender?, type?, body?, hasMedia?, fromMe? }, rules? }
+   */
+  async testMessageFilters(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { message, rules } = req.body || {};
+
+      if (!message || typeof message.chatId !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'message.chatId es requerido',
+          code: 'INVALID_REQUEST'
+        });
+      }
+
+      const input = {
+        chatId: message.chatId,
+        chatType: messageFilterService.getChatType(message.chatId),
+        sender: message.sender || message.chatId,
+        type: message.type || 'chat',
+        body: message.body || '',
+        hasMedia: Boolean(message.hasMedia),
+        fromMe: Boolean(message.fromMe)
+      };
+
+      const result = rules !== undefined
+        ? { ...messageFilterService.evaluateRules(messageFilterService.normalizeRules(rules), input), source: 'request' }
+        : messageFilterService.evaluate(sessionId, input);
+
+      return res.status(200).json({ success: true, sessionId, input, ...result });
+    } catch (error) {
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+}
+
+module.exports = new FilterController();
@@ -0,0 +1,186 @@
+const groupService = require('../services/groupService');
+const mediaHandler = require('../services/whatsappMediaHandler');
+const logger = require('../utils/logger');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Responde con el error de una operación de grupo
+ */
+function sendGroupError(req, res, error, action) {
+  logger.warn(`Error al ${action}:`, {
+    errorMessage: error.message,
+    sessionId: req.params?.sessionId,
+    groupId: req.params?.groupId
+  });
+
+  const { statusCode, code } = resolveServiceError(error);
+  return res.status(statusCode).json({ success: false, error: error.message, code });
+}
+
+class GroupController {
+  /**
+   * Crea un grupo
+   * Body: { name, participants: [número o ID de contacto] }
+   */
+  async createGroup(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const result = await groupService.createGroup(sessionId, req.body || {});
+      return res.status(201).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      return sendGroupError(req, res, error, 'crear grupo');
+    }
+  }
+
+  /**
+   * Obtiene la información de un grupo
+   */
+  async getGroup(req, res) {
+    try {
+      const { sessionId, groupId } = req.params;
+      const result = await groupService.getGroup(sessionId, groupId);
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Añade, elimina, promueve o degrada participantes
+   * Params: action = add | remove | promote | demote
+   * Body: { participants: [número o ID de contacto] }
+   */
+  async updateParticipants(req, res) {
+    try {
+      const { sessionId, groupId, action } = req.params;
+      const { participants } = req.body || {};
+
+      const result = await groupService.updateParticipants(sessionId, groupId, action, participants);
+      return res.status(200).json({ success: true, sessionId, action, ...result });
+    } catch (error) {
+      return sendGroupError(req, res, error, 'actualizar participantes del grupo');
+    }
+  }
+
+  /**
+   * Cambia el asunto y/o la descripción
+   * Body: { subject?, description? }
+   */
+  async updateInfo(req, res) {
+    try {
+      const { sessionId, groupId } = req.params;
+      const { subject, description } = req.body || {};
+
+      const result = await groupService.updateInfo(sessionId, groupId, { subject, description });
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      return sendGroupError(req, res, error, 'actualizar información del grupo');
+    }
+  }
+
+  /**
+   * Cambia la imagen del grupo (multipart con campo file, base64 o URL)
+   * Body: { data?, url?, mimetype?, filename? }
+   */
+  async setPicture(req, res) {
+    try {
+      const { sessionId, groupId } = req.params;
+      const { data, url, mimetype, filename } = req.body || {};
+
+      if (!req.file && !data && !url) {
+        return res.status(400).json({
+          success: false,
+          error: 'Se requiere un archivo (campo file), data (base64) o url',
+          code: 'INVALID_REQUEST'
+        });
+      }
+
+      const media = await mediaHandler.buildMessageMedia({
+        buffer: req.file ? req.file.buffer : undefined,
+        data: req.file ? undefined : data,
+        url: req.file || data ? undefined : url,
+        mimetype: mimetype || (req.file ? req.file.mimetype : undefined),
+        filename: filename || (req.file ? req.file.originalname : undefined)
+      });
+
+      const result = await groupService.setPicture(sessionId, groupId, media);
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      return sendGroupError(req, res, error, 'cambiar imagen del grupo');
+    }
+  }
+
+  /**
+   * Elimina la imagen del grupo
+   */
+  async deletePicture(req, res) {
+    try {
+      const { sessionId, groupId } = req.params;
+      const result = await groupService.setPicture(sessionId, groupId, null);
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      return sendGroupError(req, res, error, 'eliminar imagen del grupo');
+    }
+  }
+
+  /**
+   * Cambia los ajustes del grupo
+   * Body: { announcement?: boolean, restricted?: boolean }
+   */
+  async updateSettings(req, res) {
+    try {
+      const { sessionId, groupId } = req.params;
+      const { announcement, restricted } = req.body || {};
+
+      const result = await groupService.updateSettings(sessionId, groupId, { announcement, restricted });
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      return sendGroupError(req, res, error, 'actualizar ajustes del grupo');
+    }
+  }
+
+  /**
+   * Obtiene el código y el enlace de invitación
+   */
+  async getInviteCode(req, res) {
+    try {
+      const { sessionId, groupId } = req.params;
+      const result = await groupService.getInviteCode(sessionId, groupId);
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      return sendGroupError(req, res, error, 'obtener invitación del grupo');
+    }
+  }
+
+  /**
+   * Revoca la invitación actual y devuelve la nueva
+   */
+  async revokeInviteCode(req, res) {
+    try {
+      const { sessionId, groupId } = req.params;
+      const result = await groupService.revokeInviteCode(sessionId, groupId);
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      return sendGroupError(req, res, error, 'revocar invitación del grupo');
+    }
+  }
+
+  /**
+   * Une la sesión a un grupo por invitación
+   * Body: { code } (código o enlace https://chat.whatsapp.com/...)
+   */
+  async acceptInvite(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { code } = req.body || {};
+
+      const result = await groupService.acceptInvite(sessionId, code);
+      return res.status(200).json({ success: true, sessionId, ...result });
+    } catch (error) {
+      return sendGroupError(req, res, error, 'aceptar invitación de grupo');
+    }
+  }
+}
+
+module.exports = new GroupController();
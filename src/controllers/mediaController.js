@@ -0,0 +1,77 @@
+const mediaStorageService = require('../services/mediaStorageService');
+const mediaRetentionService = require('../services/mediaRetentionService');
+const logger = require('../utils/logger');
+
+// Solo imágenes, audio y video se muestran en el navegador; el resto (y SVG, que puede
+// llevar scripts) se descarga como adjunto
+const INLINE_MIME_PATTERN = /^(image|audio|video)\//;
+
+/**
+ * Indica si un tipo MIME se puede servir inline
+ * @param {string} mimeType - Tipo MIME del medio
+ * @returns {boolean}
+ */
+function isInlineMimeType(mimeType) {
+  return INLINE_MIME_PATTERN.test(mimeType || '') && !/svg/i.test(mimeType);
+}
+
+class MediaController {
+  /**
+   * Descarga un medio guardado. No usa API key: la URL firmada (expires + signature)
+   * es la que se envía al backend dentro del payload del mensaje
+   */
+  async downloadMedia(req, res) {
+    try {
+      const { mediaId } = req.params;
+      const { expires, signature } = req.query;
+
+      const { valid, reason } = mediaStorageService.verifySignedUrl(mediaId, expires, signature);
+      if (!valid) {
+        return res.status(403).json({
+          success: false,
+          error: reason === 'expired' ? 'La URL del medio ha caducado' : 'Firma de la URL del medio inválida',
+          code: 'FORBIDDEN'
+        });
+      }
+
+      const media = mediaStorageService.get(mediaId);
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          error: `Medio ${mediaId} no encontrado`,
+          code: 'NOT_FOUND'
+        });
+      }
+
+      // Contenido inmutable: el mismo mediaId siempre corresponde a los mismos bytes
+      return res.sendFile(media.filePath, {
+        headers: {
+          'Content-Type': media.mimeType,
+          'Content-Disposition': `${isInlineMimeType(media.mimeType) ? 'inline' : 'attachment'}; filename="${encodeURIComponent(media.filename)}"`,
+          'X-Content-Type-Options': 'nosniff',
+          'Cache-Control': 'private, max-age=86400, immutable'
+        }
+      });
+    } catch (error) {
+      logger.error('Error al descargar medio:', {
+        errorMessage: error.message,
+        mediaId: req.params?.mediaId
+      });
+
+      return res.status(500).json({ success: false, error: error.message, code: 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * Uso de disco de los medios, límites configurados e historial de limpiezas
+   */
+  async getStats(req, res) {
+    return res.status(200).json({
+      success: true,
+      ...mediaRetentionService.getStats(),
+      timestamp: Date.now()
+    });
+  }
+}
+
+module.exports = new MediaController();
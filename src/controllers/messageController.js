@@ -0,0 +1,256 @@
+const whatsappService = require('../services/whatsappService');
+const mediaHandler = require('../services/whatsappMediaHandler');
+const messageQueueService = require('../services/messageQueueService');
+const { JOB_STATUS } = require('../services/messageQueueService');
+const messageStoreService = require('../services/messageStoreService');
+const logger = require('../utils/logger');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Indica si la petición pide esperar al envío (?wait=true o wait en el body, también en multipart)
+ * @param {Object} req - Petición de Express
+ * @returns {boolean}
+ */
+function isWaitRequested(req) {
+  const wait = req.query?.wait ?? req.body?.wait;
+  return wait === true || wait === 'true';
+}
+
+/**
+ * Responde con el trabajo encolado o, si se pidió esperar, con el resultado del envío
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} job - Trabajo recién encolado
+ */
+async function respondWithJob(req, res, job) {
+  const { sessionId } = req.params;
+  const finalJob = isWaitRequested(req)
+    ? (await messageQueueService.waitForJob(sessionId, job.id)) || job
+    : job;
+
+  if (finalJob.status === JOB_STATUS.SENT) {
+    return res.status(200).json({
+      success: true,
+      sessionId,
+      jobId: finalJob.id,
+      status: finalJob.status,
+      ...finalJob.result,
+      job: finalJob
+    });
+  }
+
+  if (finalJob.status === JOB_STATUS.FAILED || finalJob.status === JOB_STATUS.CANCELLED) {
+    return res.status(502).json({
+      success: false,
+      error: finalJob.lastError || `Mensaje ${finalJob.id} ${finalJob.status === JOB_STATUS.FAILED ? 'fallido' : 'cancelado'}`,
+      code: finalJob.status === JOB_STATUS.FAILED ? 'SEND_FAILED' : 'SEND_CANCELLED',
+      sessionId,
+      jobId: finalJob.id,
+      status: finalJob.status,
+      job: finalJob
+    });
+  }
+
+  // Sin wait, o si el envío no terminó dentro de SYNC_SEND_TIMEOUT_MS, sigue en la cola
+  return res.status(202).json({
+    success: true,
+    sessionId,
+    jobId: finalJob.id,
+    status: 'queued',
+    job: finalJob
+  });
+}
+
+class MessageController {
+  /**
+   * Encola un mensaje de texto para un chat de la sesión. Con wait=true espera al envío
+   */
+  async sendMessage(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { chatId, text, quotedMessageId, mentions, linkPreview } = req.body;
+
+      if (!chatId) {
+        return res.status(400).json({ success: false, error: 'Se requiere chatId' });
+      }
+
+      if (!text || typeof text !== 'string' || text.trim() === '') {
+        return res.status(400).json({ success: false, error: 'Se requiere text (string no vacío)' });
+      }
+
+      const sessionStatus = await whatsappService.getSessionStatus(sessionId);
+      if (!sessionStatus.exists) {
+        return res.status(404).json({
+          success: false,
+          error: `Sesión ${sessionId} no encontrada`,
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      const job = messageQueueService.enqueueText(sessionId, chatId, text, {
+        quotedMessageId,
+        mentions,
+        linkPreview
+      });
+
+      return respondWithJob(req, res, job);
+    } catch (error) {
+      logger.error('Error al encolar mensaje:', {
+        errorMessage: error.message,
+        stack: error.stack,
+        sessionId: req.params?.sessionId,
+        chatId: req.body?.chatId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        code
+      });
+    }
+  }
+
+  /**
+   * Encola un medio para un chat desde archivo subido (multipart), base64 o URL.
+   * Con wait=true espera al envío
+   */
+  async sendMedia(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const {
+        chatId,
+        type,
+        caption,
+        data,
+        url,
+        mimetype,
+        filename,
+        quotedMessageId
+      } = req.body;
+
+      if (!chatId) {
+        return res.status(400).json({ success: false, error: 'Se requiere chatId' });
+      }
+
+      if (!req.file && !data && !url) {
+        return res.status(400).json({
+          success: false,
+          error: 'Se requiere un archivo (campo file), data (base64) o url'
+        });
+      }
+
+      const sessionStatus = await whatsappService.getSessionStatus(sessionId);
+      if (!sessionStatus.exists) {
+        return res.status(404).json({
+          success: false,
+          error: `Sesión ${sessionId} no encontrada`,
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      const media = await mediaHandler.buildMessageMedia({
+        buffer: req.file ? req.file.buffer : undefined,
+        data: req.file ? undefined : data,
+        url: req.file || data ? undefined : url,
+        mimetype: mimetype || (req.file ? req.file.mimetype : undefined),
+        filename: filename || (req.file ? req.file.originalname : undefined)
+      });
+
+      // Validar el tipo antes de encolar para fallar rápido
+      mediaHandler.getSendOptions(type, { caption });
+
+      const job = messageQueueService.enqueueMedia(sessionId, chatId, media, {
+        type,
+        caption,
+        quotedMessageId
+      });
+
+      return respondWithJob(req, res, job);
+    } catch (error) {
+      logger.error('Error al encolar medio:', {
+        errorMessage: error.message,
+        stack: error.stack,
+        sessionId: req.params?.sessionId,
+        chatId: req.body?.chatId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        code
+      });
+    }
+  }
+
+  /**
+   * Obtiene el estado de entrega/lectura (ack) de un mensaje saliente
+   */
+  async getMessageStatus(req, res) {
+    try {
+      const { sessionId, messageId } = req.params;
+
+      const status = await whatsappService.getMessageStatus(sessionId, messageId);
+      if (!status) {
+        return res.status(404).json({
+          success: false,
+          error: `Mensaje ${messageId} no encontrado en la sesión ${sessionId}`,
+          code: 'MESSAGE_NOT_FOUND'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        ...status
+      });
+    } catch (error) {
+      logger.error('Error al obtener estado de mensaje:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId,
+        messageId: req.params?.messageId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        code
+      });
+    }
+  }
+
+  /**
+   * Busca en el historial local de mensajes de la sesión
+   * Query: chatId, from, to (ISO o unix), q (texto), direction, limit, cursor
+   */
+  async searchMessages(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { chatId, from, to, q, direction, limit, cursor } = req.query;
+
+      const result = messageStoreService.search(sessionId, { chatId, from, to, q, direction, limit, cursor });
+
+      return res.status(200).json({
+        success: true,
+        sessionId,
+        count: result.messages.length,
+        ...result
+      });
+    } catch (error) {
+      logger.error('Error al buscar mensajes en el historial:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        code
+      });
+    }
+  }
+}
+
+module.exports = new MessageController();
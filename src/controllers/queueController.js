@@ -0,0 +1,106 @@
+const messageQueueService = require('../services/messageQueueService');
+const logger = require('../utils/logger');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+const { JOB_STATUS } = messageQueueService;
+
+class QueueController {
+  /**
+   * Lista la cola de salida de una sesión
+   */
+  async getQueue(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { status } = req.query;
+
+      if (status && !Object.values(JOB_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Estado no válido. Permitidos: ${Object.values(JOB_STATUS).join(', ')}`
+        });
+      }
+
+      const queue = messageQueueService.listJobs(sessionId, { status });
+
+      return res.status(200).json({
+        success: true,
+        ...queue,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      logger.error('Error al obtener cola de salida:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Obtiene un mensaje de la cola
+   */
+  async getJob(req, res) {
+    try {
+      const { sessionId, jobId } = req.params;
+      const job = messageQueueService.getJob(sessionId, jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Mensaje ${jobId} no encontrado en la cola de la sesión ${sessionId}`
+        });
+      }
+
+      return res.status(200).json({ success: true, job });
+    } catch (error) {
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Cancela un mensaje pendiente o fallido
+   */
+  async cancelJob(req, res) {
+    try {
+      const { sessionId, jobId } = req.params;
+      const job = messageQueueService.cancelJob(sessionId, jobId);
+
+      return res.status(200).json({ success: true, job });
+    } catch (error) {
+      logger.warn('Error al cancelar mensaje de la cola:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId,
+        jobId: req.params?.jobId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Reintenta un mensaje fallido
+   */
+  async retryJob(req, res) {
+    try {
+      const { sessionId, jobId } = req.params;
+      const job = messageQueueService.retryJob(sessionId, jobId);
+
+      return res.status(200).json({ success: true, job });
+    } catch (error) {
+      logger.warn('Error al reintentar mensaje de la cola:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId,
+        jobId: req.params?.jobId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+}
+
+module.exports = new QueueController();
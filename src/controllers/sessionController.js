@@ -1,6 +1,50 @@
 const whatsappService = require('../services/whatsappService');
 const qrService = require('../services/qrService');
+const sessionTeardownService = require('../services/sessionTeardownService');
 const logger = require('../utils/logger');
+const { filterBySessionAccess, resolveTenantId } = require('../middleware/auth');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+const LIMIT_ERRORS = {
+  session_limit_reached: 'Límite de sesiones del tenant alcanzado',
+  system_limit_reached: 'Límite de sesiones del sistema alcanzado',
+  session_owned_by_other_tenant: 'La sesión pertenece a otro tenant'
+};
+
+/**
+ * Valida el cupo del tenant antes de crear una sesión y, si hay cupo, lo reserva en el mismo
+ * tick: la inicialización es larga y otra petición del tenant no debe poder ocupar el mismo hueco.
+ * La reserva se libera con lifecycleManager.releaseReservation al terminar
+ * @param {Object} req - Petición (req.app.locals.lifecycleManager y req.apiKey)
+ * @param {string} sessionId - ID de la sesión
+ * @returns {Promise<Object>} - { tenantId, validation }
+ */
+const validateTenantQuota = async (req, sessionId) => {
+  const { lifecycleManager } = req.app.locals;
+  const tenantId = resolveTenantId(req);
+  const validation = await lifecycleManager.validateSessionCreation(tenantId, sessionId);
+
+  if (validation.allowed && !lifecycleManager.reserveSession(tenantId, sessionId)) {
+    return {
+      tenantId,
+      validation: {
+        allowed: false,
+        reason: 'session_limit_reached',
+        maxSessions: lifecycleManager.getTenantSessionLimit(tenantId)
+      }
+    };
+  }
+
+  return { tenantId, validation };
+};
+
+const rejectByQuota = (res, sessionId, validation) => res.status(403).json({
+  success: false,
+  error: LIMIT_ERRORS[validation.reason] || 'No se puede crear la sesión',
+  code: validation.reason.toUpperCase(),
+  sessionId,
+  validation
+});
 
 class SessionController {
   async initializeSession(req, res) {
@@ -11,8 +55,19 @@ class SessionController {
         return res.status(400).json({ success: false, error: 'Se requiere sessionId' });
       }
       
-      const result = await whatsappService.initializeClient(sessionId);
-      logger.info(`Inicialización de sesión: ${sessionId}`, { result });
+      const { tenantId, validation } = await validateTenantQuota(req, sessionId);
+      if (!validation.allowed) {
+        return rejectByQuota(res, sessionId, validation);
+      }
+      
+      let result;
+      try {
+        result = await whatsappService.initializeClient(sessionId);
+        req.app.locals.lifecycleManager.registerSession(sessionId, tenantId);
+      } finally {
+        req.app.locals.lifecycleManager.releaseReservation(sessionId);
+      }
+      logger.info(`Inicialización de sesión: ${sessionId}`, { result, tenantId });
       
       return res.status(200).json({ 
         success: true, 
@@ -57,7 +112,18 @@ class SessionController {
       }
       
       // Si llegamos aquí, necesitamos inicializar o reconectar
-      const result = await whatsappService.initializeAndListen(sessionId);
+      const { tenantId, validation } = await validateTenantQuota(req, sessionId);
+      if (!validation.allowed) {
+        return rejectByQuota(res, sessionId, validation);
+      }
+      
+      let result;
+      try {
+        result = await whatsappService.initializeAndListen(sessionId);
+        req.app.locals.lifecycleManager.registerSession(sessionId, tenantId);
+      } finally {
+        req.app.locals.lifecycleManager.releaseReservation(sessionId);
+      }
       
       // Respuesta más precisa sobre el estado real
       res.status(200).json({
@@ -139,7 +205,8 @@ class SessionController {
 
   async getAllSessions(req, res) {
     try {
-      const sessions = await whatsappService.getAllSessions();
+      // Las API keys restringidas solo ven sus sesiones
+      const sessions = filterBySessionAccess(req, await whatsappService.getAllSessions());
       return res.status(200).json({ 
         success: true, 
         sessions
@@ -164,7 +231,7 @@ class SessionController {
         return res.status(400).json({ success: false, error: 'Se requiere sessionId' });
       }
       
-      await whatsappService.cleanupSession(sessionId);
+      await sessionTeardownService.removeSession(sessionId);
       return res.status(200).json({ 
         success: true, 
         message: `Sesión ${sessionId} eliminada correctamente`
@@ -333,6 +400,39 @@ class SessionController {
     }
   }
 
+  /**
+   * Indica si la sesión reenvía al backend los mensajes escritos desde el teléfono
+   */
+  async getOutgoingCapture(req, res) {
+    try {
+      const result = whatsappService.getOutgoingCapture(req.params.sessionId);
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Activa o desactiva la captura de mensajes salientes escritos desde el teléfono
+   * Body: { enabled: boolean }
+   */
+  async setOutgoingCapture(req, res) {
+    try {
+      const { enabled } = req.body || {};
+      const result = whatsappService.setOutgoingCapture(req.params.sessionId, enabled);
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      logger.warn('Error al configurar captura de mensajes salientes:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
   /**
    * Obtiene estadísticas detalladas de las sesiones
    */
@@ -0,0 +1,80 @@
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+const { resolveServiceError } = require('../utils/serviceErrors');
+
+const { WEBHOOK_EVENTS } = webhookService;
+
+class WebhookController {
+  /**
+   * Obtiene los webhooks configurados para una sesión
+   */
+  async getWebhooks(req, res) {
+    const { sessionId } = req.params;
+    const targets = webhookService.getSessionTargets(sessionId)
+      .map(target => webhookService.toPublicTarget(target));
+
+    return res.status(200).json({
+      success: true,
+      sessionId,
+      targets,
+      usesGlobalBackend: !webhookService.hasOwnTargets(sessionId),
+      availableEvents: WEBHOOK_EVENTS
+    });
+  }
+
+  /**
+   * Reemplaza los webhooks de una sesión
+   * Body: { targets: [{ id?, url, headers?, events?, enabled?, secret? }] }
+   * La respuesta incluye los secretos completos (los generados solo se ven aquí)
+   */
+  async setWebhooks(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { targets } = req.body || {};
+
+      if (targets === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'targets es requerido (lista de destinos, vacía para eliminar todos)'
+        });
+      }
+
+      const saved = webhookService.setSessionTargets(sessionId, targets);
+
+      return res.status(200).json({
+        success: true,
+        sessionId,
+        targets: saved,
+        usesGlobalBackend: !webhookService.hasOwnTargets(sessionId)
+      });
+    } catch (error) {
+      logger.warn('Error al configurar webhooks:', {
+        errorMessage: error.message,
+        sessionId: req.params?.sessionId
+      });
+
+      const { statusCode, code } = resolveServiceError(error);
+      return res.status(statusCode).json({ success: false, error: error.message, code });
+    }
+  }
+
+  /**
+   * Elimina los webhooks de una sesión (vuelve a usar el backend global)
+   */
+  async deleteWebhooks(req, res) {
+    const { sessionId } = req.params;
+    const existed = webhookService.clearSession(sessionId);
+
+    if (!existed) {
+      return res.status(404).json({
+        success: false,
+        error: `La sesión ${sessionId} no tiene webhooks configurados`
+      });
+    }
+
+    logger.info(`Webhooks eliminados para sesión ${sessionId}`);
+    return res.status(200).json({ success: true, sessionId });
+  }
+}
+
+module.exports = new WebhookController();
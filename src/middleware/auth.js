@@ -0,0 +1,181 @@
+/**
+ * src/middleware/auth.js
+ * Autenticación por API key y autorización por scope y sesión para las rutas REST
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
+const sessionRegistry = require('../services/sessionRegistry');
+
+/**
+ * Extrae la API key de los headers (X-API-Key o Authorization: Bearer)
+ * @param {Object} headers - Headers de la petición o del handshake de Socket.IO
+ * @returns {string|null} - Clave en claro o null
+ */
+const extractApiKey = (headers = {}) => {
+  if (headers['x-api-key']) {
+    return headers['x-api-key'];
+  }
+
+  const authorization = headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return null;
+};
+
+/**
+ * Exige una API key válida y la deja en req.apiKey
+ */
+const authenticate = (req, res, next) => {
+  if (!config.security.apiKeyAuth) {
+    return next();
+  }
+
+  const apiKey = apiKeyService.authenticate(extractApiKey(req.headers));
+  if (!apiKey) {
+    logger.warn(`Petición sin API key válida: ${req.method} ${req.originalUrl}`, {
+      ip: req.ip
+    });
+    return res.status(401).json({
+      success: false,
+      error: 'API key requerida o inválida (header X-API-Key o Authorization: Bearer)',
+      code: 'UNAUTHORIZED'
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+/**
+ * Exige un scope y, si la ruta opera sobre una sesión, que la clave tenga acceso a ella
+ * @param {string} scope - read, send o admin
+ * @param {Object} options - { platform: true } para rutas que afectan a todos los tenants
+ * @returns {Function} - Middleware de Express
+ */
+const authorize = (scope, options = {}) => (req, res, next) => {
+  if (!config.security.apiKeyAuth) {
+    return next();
+  }
+
+  const { apiKey } = req;
+
+  if (!apiKey || !apiKeyService.hasScope(apiKey, scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `La API key no tiene el scope requerido: ${scope}`,
+      code: 'FORBIDDEN'
+    });
+  }
+
+  if (options.platform && apiKey.tenantId) {
+    return res.status(403).json({
+      success: false,
+      error: 'Esta ruta requiere una API key de plataforma (sin tenant)',
+      code: 'FORBIDDEN'
+    });
+  }
+
+  // Algunas rutas antiguas reciben el sessionId en el body en lugar de en la URL
+  const sessionId = req.params.sessionId || req.body?.sessionId || req.query.sessionId;
+  if (sessionId && !canAccessSession(req, sessionId)) {
+    logger.warn(`API key ${apiKey.name} sin acceso a la sesión ${sessionId}`);
+    return res.status(403).json({
+      success: false,
+      error: `La API key no tiene acceso a la sesión ${sessionId}`,
+      code: 'FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Comprueba si la clave de la petición puede operar sobre una sesión: sesiones permitidas
+ * de la clave y, si la clave pertenece a un tenant, que la sesión sea suya o todavía no exista
+ * @param {Object} req - Petición con req.apiKey
+ * @param {string} sessionId - ID de la sesión
+ * @returns {boolean}
+ */
+const canAccessSession = (req, sessionId) => {
+  const { apiKey } = req;
+  if (!apiKey) {
+    return true;
+  }
+
+  if (!apiKeyService.canAccessSession(apiKey, sessionId)) {
+    return false;
+  }
+
+  if (apiKey.tenantId) {
+    const owner = req.app.locals.lifecycleManager.getSessionOwner(sessionId);
+    return !owner || owner === apiKey.tenantId;
+  }
+
+  return true;
+};
+
+/**
+ * Para rutas que guardan configuración de una sesión (webhooks, reglas de filtrado): la sesión
+ * tiene que existir y, con una clave de tenant, ser de ese tenant. canAccessSession deja pasar
+ * IDs sin dueño para poder crearlos, pero configurar uno así permitiría a un tenant quedarse
+ * con los mensajes de una sesión que otro cree después con ese ID
+ */
+const requireOwnedSession = (req, res, next) => {
+  const { sessionId } = req.params;
+  const owner = req.app.locals.lifecycleManager.getSessionOwner(sessionId);
+
+  if (!owner && !sessionRegistry.get(sessionId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Sesión ${sessionId} no encontrada`,
+      code: 'SESSION_NOT_FOUND'
+    });
+  }
+
+  const tenantId = config.security.apiKeyAuth ? req.apiKey?.tenantId : null;
+  if (tenantId && owner !== tenantId) {
+    logger.warn(`API key ${req.apiKey.name} sin acceso a la sesión ${sessionId} de otro tenant`);
+    return res.status(403).json({
+      success: false,
+      error: `La API key no tiene acceso a la sesión ${sessionId}`,
+      code: 'FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Tenant al que se asignan las sesiones creadas en la petición: el de la API key o,
+ * para claves de plataforma, el indicado en el body
+ * @param {Object} req - Petición
+ * @returns {string|null} - Tenant o null (tenant por defecto)
+ */
+const resolveTenantId = (req) => req.apiKey?.tenantId || req.body?.tenantId || req.body?.userId || null;
+
+/**
+ * Filtra una lista de elementos con sessionId según las sesiones visibles para la clave
+ * @param {Object} req - Petición con req.apiKey
+ * @param {Array} items - Elementos con propiedad sessionId
+ * @returns {Array} - Elementos visibles para la clave
+ */
+const filterBySessionAccess = (req, items) => {
+  if (!req.apiKey) {
+    return items;
+  }
+  return items.filter(item => canAccessSession(req, item.sessionId));
+};
+
+module.exports = {
+  extractApiKey,
+  authenticate,
+  authorize,
+  canAccessSession,
+  requireOwnedSession,
+  resolveTenantId,
+  filterBySessionAccess
+};
@@ -1,14 +1,36 @@
 const express = require('express');
 const http = require('http');
+const multer = require('multer');
 const config = require('./config');
 const logger = require('./utils/logger');
 const sessionController = require('./controllers/sessionController');
+const messageController = require('./controllers/messageController');
+const queueController = require('./controllers/queueController');
+const deliveryController = require('./controllers/deliveryController');
+const webhookController = require('./controllers/webhookController');
+const filterController = require('./controllers/filterController');
+const chatController = require('./controllers/chatController');
+const groupController = require('./controllers/groupController');
+const contactController = require('./controllers/contactController');
+const apiKeyController = require('./controllers/apiKeyController');
+const mediaController = require('./controllers/mediaController');
 const whatsappService = require('./services/whatsappService');
 const socketService = require('./services/socketService');
+const apiKeyService = require('./services/apiKeyService');
+const { authenticate, authorize, canAccessSession, requireOwnedSession, resolveTenantId } = require('./middleware/auth');
+const backendOutboxService = require('./services/backendOutboxService');
+const inboundDedupService = require('./services/inboundDedupService');
+const contactsManager = require('./services/contactsManager');
+const mediaRetentionService = require('./services/mediaRetentionService');
+const messageStoreService = require('./services/messageStoreService');
 const SessionLifecycleManager = require('./services/sessionLifecycleManager');
 const lifecycleManager = new SessionLifecycleManager(whatsappService);
+const sessionTeardownService = require('./services/sessionTeardownService');
 const restoreSessionsOnStart = require('./services/sessionRestorer');
 
+// Al eliminar una sesión también se libera su cuota de tenant
+sessionTeardownService.setLifecycleManager(lifecycleManager);
+
 
 // Validar configuración al inicio (si existe el método validate)
 try {
@@ -24,6 +46,29 @@ try {
 // Crear aplicación Express
 const app = express();
 
+// Los controladores y el middleware de auth consultan la propiedad de sesiones por tenant
+app.locals.lifecycleManager = lifecycleManager;
+
+// Subida de archivos en memoria para envío de medios
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.media.maxSendBytes, files: 1 }
+});
+
+// Middleware de subida de un archivo (campo file) con errores en el formato de la API
+const uploadSingleFile = (req, res, next) => {
+  mediaUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    const statusCode = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'UPLOAD_ERROR'
+    });
+  });
+};
+
 // Crear servidor HTTP a partir de la app Express
 const server = http.createServer(app);
 
@@ -37,11 +82,17 @@ restoreSessionsOnStart();
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Middleware para CORS básico
+// Middleware para CORS (orígenes configurables con CORS_ORIGINS)
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
+  const origin = req.get('Origin');
+  if (config.security.corsOrigins.includes('*')) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else if (origin && config.security.corsOrigins.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+  }
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -79,6 +130,20 @@ app.use((req, res, next) => {
   next();
 });
 
+/**
+ * @route GET /api/media/:mediaId
+ * @description Descarga un medio recibido. Se autentica con la firma de la URL, no con API key,
+ * por eso se registra antes del middleware de autenticación
+ */
+app.get('/api/media/:mediaId([a-f0-9]{64})', mediaController.downloadMedia);
+
+// Autenticación por API key para toda la API (el health check queda público)
+app.use(['/api', '/session'], authenticate);
+
+if (config.security.apiKeyAuth && !apiKeyService.hasAnyKey()) {
+  logger.warn('Autenticación por API key activa sin claves configuradas: define ADMIN_API_KEY para poder usar la API');
+}
+
 // Ruta de verificación de salud mejorada
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -90,7 +155,7 @@ app.get('/health', (req, res) => {
 });
 
 // Ruta mejorada para obtener información del sistema
-app.get('/api/system/status', async (req, res) => {
+app.get('/api/system/status', authorize('admin', { platform: true }), async (req, res) => {
   try {
     const sessions = await whatsappService.getAllSessions();
     const socketStats = socketService.getStats ? socketService.getStats() : { totalConnections: 0, totalSessions: 0 };
@@ -106,7 +171,10 @@ app.get('/api/system/status', async (req, res) => {
       environment: config.nodeEnv || process.env.NODE_ENV || 'development',
       timestamp: new Date().toISOString(),
       socketConnections: socketStats.totalConnections,
-      socketSessions: socketStats.totalSessions
+      socketSessions: socketStats.totalSessions,
+      backendDeliveries: backendOutboxService.getStats(),
+      inboundDedup: inboundDedupService.getStats(),
+      contactsCache: contactsManager.getStats()
     };
     
     // Calcular uso de memoria por sesión
@@ -137,19 +205,19 @@ app.get('/api/system/status', async (req, res) => {
 });
 
 // Rutas para manejo de sesiones
-app.post('/api/session/initialize', sessionController.initializeSession);
-app.post('/api/session/start-listening', sessionController.startListening);
-app.post('/api/session/stop-listening', sessionController.stopListening);
-app.get('/api/session/:sessionId/status', sessionController.getSessionStatus);
-app.get('/api/sessions', sessionController.getAllSessions);
-app.get('/session/:sessionId/connection-status', sessionController.checkConnectionStatus);
-app.delete('/api/session/:sessionId', sessionController.cleanupSession);
+app.post('/api/session/initialize', authorize('admin'), sessionController.initializeSession);
+app.post('/api/session/start-listening', authorize('send'), sessionController.startListening);
+app.post('/api/session/stop-listening', authorize('send'), sessionController.stopListening);
+app.get('/api/session/:sessionId/status', authorize('read'), sessionController.getSessionStatus);
+app.get('/api/sessions', authorize('read'), sessionController.getAllSessions);
+app.get('/session/:sessionId/connection-status', authorize('read'), sessionController.checkConnectionStatus);
+app.delete('/api/session/:sessionId', authorize('admin'), sessionController.cleanupSession);
 
 /**
  * @route GET /api/sessions/:sessionId/chats
  * @description Obtiene la lista de chats para una sesión con paginación
  */
-app.get('/api/sessions/:sessionId/chats', async (req, res) => {
+app.get('/api/sessions/:sessionId/chats', authorize('read'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { 
@@ -251,7 +319,7 @@ app.get('/api/sessions/:sessionId/chats', async (req, res) => {
 });
 
 // Nueva ruta adicional para chats básicos (más rápida)
-app.get('/api/sessions/:sessionId/chats/basic', async (req, res) => {
+app.get('/api/sessions/:sessionId/chats/basic', authorize('read'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { limit = '20', offset = '0' } = req.query;
@@ -287,11 +355,23 @@ app.get('/api/sessions/:sessionId/chats/basic', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/sessions/:sessionId/chats/:chatId/messages
+ * @description Obtiene los últimos mensajes de un chat desde WhatsApp (limit, before, includeMedia)
+ */
+app.get('/api/sessions/:sessionId/chats/:chatId/messages', authorize('read'), chatController.getChatMessages);
+
+/**
+ * @route POST /api/sessions/:sessionId/chats/:chatId/actions
+ * @description Marca como leído o no leído, archiva, fija, silencia, vacía o elimina un chat
+ */
+app.post('/api/sessions/:sessionId/chats/:chatId/actions', authorize('send'), chatController.performChatAction);
+
 /**
  * @route PUT /api/sessions/:sessionId/chats/:chatId/listening
  * @description Actualiza el estado de escucha de un chat
  */
-app.put('/api/sessions/:sessionId/chats/:chatId/listening', async (req, res) => {
+app.put('/api/sessions/:sessionId/chats/:chatId/listening', authorize('send'), async (req, res) => {
   try {
     const { sessionId, chatId } = req.params;
     const { isListening } = req.body;
@@ -356,7 +436,7 @@ app.put('/api/sessions/:sessionId/chats/:chatId/listening', async (req, res) =>
 });
 
 // Endpoint adicional para obtener información detallada de una sesión
-app.get('/api/sessions/:sessionId/info', async (req, res) => {
+app.get('/api/sessions/:sessionId/info', authorize('read'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -398,29 +478,209 @@ app.get('/api/sessions/:sessionId/info', async (req, res) => {
 });
 
 
+/**
+ * @route GET /api/sessions/:sessionId/messages
+ * @description Busca en el historial local de mensajes (chatId, from, to, q, cursor)
+ */
+app.get('/api/sessions/:sessionId/messages', authorize('read'), messageController.searchMessages);
+
+/**
+ * @route POST /api/sessions/:sessionId/messages
+ * @description Encola un mensaje de texto para un chat de la sesión
+ */
+app.post('/api/sessions/:sessionId/messages', authorize('send'), messageController.sendMessage);
+
+/**
+ * @route POST /api/sessions/:sessionId/messages/media
+ * @description Encola imagen, video, documento, sticker o nota de voz (multipart, base64 o URL)
+ */
+app.post('/api/sessions/:sessionId/messages/media', authorize('send'), uploadSingleFile, messageController.sendMedia);
+
+/**
+ * @route GET /api/sessions/:sessionId/messages/:messageId/status
+ * @description Obtiene el estado de entrega/lectura (sent, delivered, read, played) de un mensaje saliente
+ */
+app.get('/api/sessions/:sessionId/messages/:messageId/status', authorize('read'), messageController.getMessageStatus);
+
+/**
+ * @route GET /api/sessions/:sessionId/queue
+ * @description Lista la cola de salida de la sesión (filtrable por status)
+ */
+app.get('/api/sessions/:sessionId/queue', authorize('read'), queueController.getQueue);
+app.get('/api/sessions/:sessionId/queue/:jobId', authorize('read'), queueController.getJob);
+
+/**
+ * @route POST /api/sessions/:sessionId/queue/:jobId/cancel
+ * @description Cancela un mensaje pendiente o fallido de la cola
+ */
+app.post('/api/sessions/:sessionId/queue/:jobId/cancel', authorize('send'), queueController.cancelJob);
+
+/**
+ * @route POST /api/sessions/:sessionId/queue/:jobId/retry
+ * @description Vuelve a encolar un mensaje fallido
+ */
+app.post('/api/sessions/:sessionId/queue/:jobId/retry', authorize('send'), queueController.retryJob);
+
+/**
+ * @route GET /api/sessions/:sessionId/filters
+ * @description Obtiene el modo de filtrado y las reglas de escucha por chat
+ */
+app.get('/api/sessions/:sessionId/filters', authorize('read'), filterController.getChatFilters);
+
+/**
+ * @route PUT /api/sessions/:sessionId/filters
+ * @description Cambia el modo de filtrado (listen-all, allowlist, denylist) y/o reemplaza las reglas por chat
+ */
+app.put('/api/sessions/:sessionId/filters', authorize('send'), filterController.setChatFilters);
+
+/**
+ * @route GET /api/sessions/:sessionId/message-filters
+ * @description Obtiene las reglas include/exclude de mensajes de la sesión
+ */
+app.get('/api/sessions/:sessionId/message-filters', authorize('read'), requireOwnedSession, filterController.getMessageFilters);
+
+/**
+ * @route PUT /api/sessions/:sessionId/message-filters
+ * @description Reemplaza las reglas de la sesión (tipo de chat, remitente, tipo de mensaje, texto, medios, fromMe)
+ */
+app.put('/api/sessions/:sessionId/message-filters', authorize('admin'), requireOwnedSession, filterController.setMessageFilters);
+app.delete('/api/sessions/:sessionId/message-filters', authorize('admin'), requireOwnedSession, filterController.deleteMessageFilters);
+
+/**
+ * @route POST /api/sessions/:sessionId/message-filters/test
+ * @description Evalúa un mensaje de ejemplo contra las reglas (dry-run). Probar reglas
+ * enviadas en el body (sin guardar) requiere el mismo scope que guardarlas
+ */
+app.post(
+  '/api/sessions/:sessionId/message-filters/test',
+  authorize('read'),
+  requireOwnedSession,
+  (req, res, next) => (req.body?.rules !== undefined ? authorize('admin')(req, res, next) : next()),
+  filterController.testMessageFilters
+);
+
+/**
+ * @route GET /api/sessions/:sessionId/contacts
+ * @description Lista la agenda de la sesión, paginada y con búsqueda por nombre o número (q, limit, offset)
+ */
+app.get('/api/sessions/:sessionId/contacts', authorize('read'), contactController.listContacts);
+
+/**
+ * @route POST /api/sessions/:sessionId/contacts/check
+ * @description Normaliza números a E.164 y comprueba cuáles tienen WhatsApp, devolviendo su ID
+ */
+app.post('/api/sessions/:sessionId/contacts/check', authorize('read'), contactController.checkNumbers);
+
+/**
+ * @route POST /api/sessions/:sessionId/contacts/:contactId/block
+ * @description Bloquea un contacto; DELETE lo desbloquea
+ */
+app.post('/api/sessions/:sessionId/contacts/:contactId/block', authorize('send'), contactController.blockContact);
+app.delete('/api/sessions/:sessionId/contacts/:contactId/block', authorize('send'), contactController.unblockContact);
+
+/**
+ * @route POST /api/sessions/:sessionId/groups
+ * @description Crea un grupo con un nombre y una lista de participantes
+ */
+app.post('/api/sessions/:sessionId/groups', authorize('send'), groupController.createGroup);
+
+/**
+ * @route POST /api/sessions/:sessionId/groups/invite/accept
+ * @description Une la sesión a un grupo con un código o enlace de invitación
+ */
+app.post('/api/sessions/:sessionId/groups/invite/accept', authorize('send'), groupController.acceptInvite);
+
+/**
+ * @route GET /api/sessions/:sessionId/groups/:groupId
+ * @description Obtiene la información de un grupo (participantes, admins, descripción, ajustes)
+ */
+app.get('/api/sessions/:sessionId/groups/:groupId', authorize('read'), groupController.getGroup);
+
+/**
+ * @route PUT /api/sessions/:sessionId/groups/:groupId
+ * @description Cambia el asunto y/o la descripción del grupo
+ */
+app.put('/api/sessions/:sessionId/groups/:groupId', authorize('send'), groupController.updateInfo);
+
+/**
+ * @route POST /api/sessions/:sessionId/groups/:groupId/participants/:action
+ * @description Añade, elimina, promueve o degrada participantes (add, remove, promote, demote)
+ */
+app.post('/api/sessions/:sessionId/groups/:groupId/participants/:action', authorize('send'), groupController.updateParticipants);
+
+/**
+ * @route PUT /api/sessions/:sessionId/groups/:groupId/picture
+ * @description Cambia la imagen del grupo (multipart, base64 o URL); DELETE la elimina
+ */
+app.put('/api/sessions/:sessionId/groups/:groupId/picture', authorize('send'), uploadSingleFile, groupController.setPicture);
+app.delete('/api/sessions/:sessionId/groups/:groupId/picture', authorize('send'), groupController.deletePicture);
+
+/**
+ * @route PUT /api/sessions/:sessionId/groups/:groupId/settings
+ * @description Cambia quién puede enviar mensajes (announcement) y editar la información (restricted)
+ */
+app.put('/api/sessions/:sessionId/groups/:groupId/settings', authorize('send'), groupController.updateSettings);
+
+/**
+ * @route GET /api/sessions/:sessionId/groups/:groupId/invite
+ * @description Obtiene el código y el enlace de invitación del grupo
+ */
+app.get('/api/sessions/:sessionId/groups/:groupId/invite', authorize('send'), groupController.getInviteCode);
+
+/**
+ * @route POST /api/sessions/:sessionId/groups/:groupId/invite/revoke
+ * @description Revoca la invitación actual y genera una nueva
+ */
+app.post('/api/sessions/:sessionId/groups/:groupId/invite/revoke', authorize('send'), groupController.revokeInviteCode);
+
+/**
+ * @route GET /api/sessions/:sessionId/webhooks
+ * @description Obtiene los webhooks configurados para la sesión
+ */
+app.get('/api/sessions/:sessionId/webhooks', authorize('admin'), requireOwnedSession, webhookController.getWebhooks);
+
+/**
+ * @route PUT /api/sessions/:sessionId/webhooks
+ * @description Reemplaza los webhooks de la sesión (url, headers y eventos por destino)
+ */
+app.put('/api/sessions/:sessionId/webhooks', authorize('admin'), requireOwnedSession, webhookController.setWebhooks);
+app.delete('/api/sessions/:sessionId/webhooks', authorize('admin'), requireOwnedSession, webhookController.deleteWebhooks);
+
+/**
+ * @route GET /api/sessions/:sessionId/outgoing-capture
+ * @description Indica si se reenvían al backend los mensajes escritos desde el teléfono
+ */
+app.get('/api/sessions/:sessionId/outgoing-capture', authorize('read'), sessionController.getOutgoingCapture);
+
+/**
+ * @route PUT /api/sessions/:sessionId/outgoing-capture
+ * @description Activa o desactiva la captura de mensajes salientes (direction: outbound)
+ */
+app.put('/api/sessions/:sessionId/outgoing-capture', authorize('send'), sessionController.setOutgoingCapture);
+
 /**
  * @route POST /api/sessions/:sessionId/reconnect
  * @description Reconecta una sesión existente sin crear nueva instancia
  */
-app.post('/api/sessions/:sessionId/reconnect', sessionController.reconnectSession);
+app.post('/api/sessions/:sessionId/reconnect', authorize('admin'), sessionController.reconnectSession);
 
 /**
  * @route POST /api/sessions/cleanup
  * @description Limpia sesiones expiradas manualmente
  */
-app.post('/api/sessions/cleanup', sessionController.cleanupExpiredSessions);
+app.post('/api/sessions/cleanup', authorize('admin', { platform: true }), sessionController.cleanupExpiredSessions);
 
 /**
  * @route GET /api/sessions/stats
  * @description Obtiene estadísticas detalladas del sistema de sesiones
  */
-app.get('/api/sessions/stats', sessionController.getSessionsStats);
+app.get('/api/sessions/stats', authorize('admin', { platform: true }), sessionController.getSessionsStats);
 
 /**
  * @route GET /api/sessions/health
  * @description Obtiene estado de salud del sistema de sesiones
  */
-app.get('/api/sessions/health', async (req, res) => {
+app.get('/api/sessions/health', authorize('admin', { platform: true }), async (req, res) => {
   try {
     // Obtener estadísticas básicas
     const stats = await whatsappService.getSessionsStatistics();
@@ -447,7 +707,8 @@ app.get('/api/sessions/health', async (req, res) => {
       details: {
         sessionStats: stats,
         problematicSessions: problematicSessions.slice(0, 10), // Top 10 problemas
-        userUsage: userStats
+        userUsage: userStats,
+        mediaCleanup: mediaRetentionService.getReport()
       },
       recommendations: generateHealthRecommendations(stats, problematicSessions)
     };
@@ -470,14 +731,20 @@ app.get('/api/sessions/health', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/media/stats
+ * @description Uso de disco de los medios guardados, límites e historial de limpiezas
+ */
+app.get('/api/media/stats', authorize('admin', { platform: true }), mediaController.getStats);
+
 /**
  * @route POST /api/sessions/:sessionId/validate
  * @description Valida si una sesión puede ser creada
  */
-app.post('/api/sessions/:sessionId/validate', async (req, res) => {
+app.post('/api/sessions/:sessionId/validate', authorize('admin'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { userId } = req.body; // Opcional
+    const tenantId = resolveTenantId(req); // Tenant de la API key o userId/tenantId opcional del body
     
     if (!sessionId || sessionId.trim() === '') {
       return res.status(400).json({
@@ -486,7 +753,7 @@ app.post('/api/sessions/:sessionId/validate', async (req, res) => {
       });
     }
     
-    const validation = await lifecycleManager.validateSessionCreation(userId, sessionId);
+    const validation = await lifecycleManager.validateSessionCreation(tenantId, sessionId);
     
     return res.json({
       success: true,
@@ -511,7 +778,7 @@ app.post('/api/sessions/:sessionId/validate', async (req, res) => {
  * @route GET /api/sessions/problematic
  * @description Obtiene lista de sesiones problemáticas que necesitan atención
  */
-app.get('/api/sessions/problematic', async (req, res) => {
+app.get('/api/sessions/problematic', authorize('admin', { platform: true }), async (req, res) => {
   try {
     const { limit = '20', severity = '0' } = req.query;
     
@@ -551,7 +818,7 @@ app.get('/api/sessions/problematic', async (req, res) => {
  * @route POST /api/sessions/bulk-action
  * @description Ejecuta acciones en lote sobre múltiples sesiones
  */
-app.post('/api/sessions/bulk-action', async (req, res) => {
+app.post('/api/sessions/bulk-action', authorize('admin'), async (req, res) => {
   try {
     const { action, sessionIds, options = {} } = req.body;
     
@@ -585,6 +852,10 @@ app.post('/api/sessions/bulk-action', async (req, res) => {
       try {
         let result;
         
+        if (!canAccessSession(req, sessionId)) {
+          throw new Error(`La API key no tiene acceso a la sesión ${sessionId}`);
+        }
+        
         switch (action) {
           case 'cleanup':
             await whatsappService.cleanupSession(sessionId);
@@ -642,6 +913,43 @@ app.post('/api/sessions/bulk-action', async (req, res) => {
 });
 
 
+/**
+ * @route GET /api/admin/deliveries
+ * @description Lista entregas al backend (?status=pending|dead-letter, sessionId, eventType, limit, offset)
+ */
+app.get('/api/admin/deliveries', authorize('admin', { platform: true }), deliveryController.listDeliveries);
+
+/**
+ * @route POST /api/admin/deliveries/replay
+ * @description Reenvía todas las entregas de dead-letter (opcional { sessionId } en el body)
+ */
+app.post('/api/admin/deliveries/replay', authorize('admin', { platform: true }), deliveryController.replayAll);
+
+/**
+ * @route GET /api/admin/deliveries/:deliveryId
+ * @description Obtiene una entrega con su payload y el último error
+ */
+app.get('/api/admin/deliveries/:deliveryId', authorize('admin', { platform: true }), deliveryController.getDelivery);
+
+/**
+ * @route POST /api/admin/deliveries/:deliveryId/replay
+ * @description Reenvía una entrega de dead-letter
+ */
+app.post('/api/admin/deliveries/:deliveryId/replay', authorize('admin', { platform: true }), deliveryController.replayDelivery);
+
+/**
+ * @route GET /api/admin/api-keys
+ * @description Lista las API keys (nunca devuelve las claves en claro)
+ */
+app.get('/api/admin/api-keys', authorize('admin', { platform: true }), apiKeyController.listKeys);
+
+/**
+ * @route POST /api/admin/api-keys
+ * @description Crea una API key con scopes (read, send, admin) y sesiones permitidas opcionales
+ */
+app.post('/api/admin/api-keys', authorize('admin', { platform: true }), apiKeyController.createKey);
+app.delete('/api/admin/api-keys/:keyId', authorize('admin', { platform: true }), apiKeyController.revokeKey);
+
 // Middleware para rutas no encontradas
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -678,8 +986,10 @@ async function gracefulShutdown(signal) {
   logger.info(`Señal ${signal} recibida, cerrando servidor...`);
   
   try {
-    // Detener el lifecycle manager
+    // Detener el lifecycle manager, la limpieza de medios y la retención del historial
     lifecycleManager.destroy();
+    mediaRetentionService.stop();
+    messageStoreService.stop();
     
     // Obtener todas las sesiones activas
     const sessions = await whatsappService.getAllSessions();
@@ -696,6 +1006,9 @@ async function gracefulShutdown(signal) {
       }
     }
     
+    // Guardar los IDs vistos pendientes de escritura
+    inboundDedupService.persist();
+    
     // Cerrar servidor HTTP
     server.close(() => {
       logger.info('Servidor HTTP cerrado');
@@ -723,6 +1036,9 @@ server.listen(PORT, () => {
   const nodeEnv = config.nodeEnv || process.env.NODE_ENV || 'development';
   logger.info(`Servidor ejecutándose en modo ${nodeEnv} en puerto ${PORT}`);
   logger.info(`Configuración cargada: Max Sessions=${config.maxSessions}`);
+
+  mediaRetentionService.start();
+  messageStoreService.start();
 });
 
 // Manejo de señales para cierre limpio
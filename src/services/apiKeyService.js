@@ -0,0 +1,217 @@
+/**
+ * src/services/apiKeyService.js
+ * Gestión de API keys: se guardan solo hasheadas, con scopes y sesiones permitidas
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJson } = require('../utils/fileStore');
+
+const SCOPES = ['read', 'send', 'admin'];
+
+// Cada scope incluye a los de menor nivel
+const SCOPE_GRANTS = {
+  read: ['read'],
+  send: ['read', 'send'],
+  admin: ['read', 'send', 'admin']
+};
+
+const KEY_PREFIX = 'wam_';
+const BOOTSTRAP_KEY_ID = 'bootstrap-admin';
+
+// Frecuencia máxima con la que se persiste lastUsedAt de una clave
+const LAST_USED_PERSIST_MS = 60000;
+
+const hashKey = (plainKey) => crypto.createHash('sha256').update(plainKey).digest('hex');
+
+class ApiKeyService {
+  constructor() {
+    this.storePath = path.join(config.dataPath, 'api-keys.json');
+    this.keys = new Map(); // hash -> registro
+    this.lastPersistedUse = new Map(); // id -> timestamp
+
+    this.bootstrapHash = config.security.adminApiKey ? hashKey(config.security.adminApiKey) : null;
+
+    this.load();
+  }
+
+  load() {
+    const stored = readJson(this.storePath, []);
+    stored.forEach(record => this.keys.set(record.hash, record));
+  }
+
+  persist() {
+    try {
+      writeJson(this.storePath, Array.from(this.keys.values()));
+    } catch (error) {
+      logger.error('Error al guardar API keys:', {
+        errorMessage: error.message
+      });
+    }
+  }
+
+  /**
+   * Indica si existe alguna forma de autenticarse (clave de arranque o claves guardadas)
+   * @returns {boolean}
+   */
+  hasAnyKey() {
+    return Boolean(this.bootstrapHash) || Array.from(this.keys.values()).some(record => !record.revokedAt);
+  }
+
+  /**
+   * Crea una API key nueva. La clave en claro solo se devuelve aquí
+   * @param {Object} data - { name, scopes, sessionIds, tenantId }
+   * @returns {Object} - { key, apiKey } clave en claro y registro público
+   */
+  createKey(data = {}) {
+    const { name, scopes, sessionIds = null, tenantId = null } = data;
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('name es requerido');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error(`scopes es requerido. Permitidos: ${SCOPES.join(', ')}`);
+    }
+
+    const invalidScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new Error(`Scopes inválidos: ${invalidScopes.join(', ')}. Permitidos: ${SCOPES.join(', ')}`);
+    }
+
+    if (sessionIds !== null && (!Array.isArray(sessionIds) || sessionIds.length === 0 || sessionIds.some(id => typeof id !== 'string'))) {
+      throw new Error('sessionIds inválido, debe ser una lista de IDs o null para todas las sesiones');
+    }
+
+    if (scopes.includes('admin') && sessionIds !== null) {
+      throw new Error('Una clave admin no puede restringirse a sesiones (sessionIds inválido)');
+    }
+
+    // Sin tenant la clave opera a nivel de plataforma (todas las sesiones)
+    if (tenantId !== null && (typeof tenantId !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(tenantId))) {
+      throw new Error('tenantId inválido, solo letras, números, guiones y guiones bajos');
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      hash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      sessionIds,
+      tenantId,
+      createdAt: Date.now(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.keys.set(record.hash, record);
+    this.persist();
+
+    logger.info(`API key creada: ${record.name} (${record.prefix}...)`, {
+      keyId: record.id,
+      scopes: record.scopes,
+      tenantId: record.tenantId || 'plataforma',
+      sessionIds: record.sessionIds || 'todas'
+    });
+
+    return { key, apiKey: this.toPublicKey(record) };
+  }
+
+  /**
+   * Busca la clave correspondiente a un valor recibido en una petición
+   * @param {string} plainKey - Clave en claro
+   * @returns {Object|null} - Registro de la clave o null si no es válida
+   */
+  authenticate(plainKey) {
+    if (!plainKey || typeof plainKey !== 'string') {
+      return null;
+    }
+
+    const hash = hashKey(plainKey);
+
+    if (this.bootstrapHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(this.bootstrapHash))) {
+      return {
+        id: BOOTSTRAP_KEY_ID,
+        name: 'ADMIN_API_KEY',
+        scopes: ['admin'],
+        sessionIds: null,
+        tenantId: null
+      };
+    }
+
+    const record = this.keys.get(hash);
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    this.touch(record);
+    return record;
+  }
+
+  touch(record) {
+    const now = Date.now();
+    record.lastUsedAt = now;
+
+    const lastPersisted = this.lastPersistedUse.get(record.id) || 0;
+    if (now - lastPersisted > LAST_USED_PERSIST_MS) {
+      this.lastPersistedUse.set(record.id, now);
+      this.persist();
+    }
+  }
+
+  /**
+   * Comprueba si una clave tiene un scope (directamente o por incluir uno superior)
+   * @param {Object} apiKey - Registro de la clave
+   * @param {string} scope - Scope requerido
+   * @returns {boolean}
+   */
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.some(granted => (SCOPE_GRANTS[granted] || []).includes(scope));
+  }
+
+  /**
+   * Comprueba si una clave puede operar sobre una sesión
+   * @param {Object} apiKey - Registro de la clave
+   * @param {string} sessionId - ID de la sesión
+   * @returns {boolean}
+   */
+  canAccessSession(apiKey, sessionId) {
+    return !apiKey.sessionIds || apiKey.sessionIds.includes(sessionId);
+  }
+
+  listKeys() {
+    return Array.from(this.keys.values()).map(record => this.toPublicKey(record));
+  }
+
+  /**
+   * Revoca una clave (se conserva el registro para auditoría)
+   * @param {string} keyId - ID de la clave
+   * @returns {Object} - Registro público
+   */
+  revokeKey(keyId) {
+    const record = Array.from(this.keys.values()).find(key => key.id === keyId);
+    if (!record) {
+      throw new Error(`Registro de API key ${keyId} no encontrado`);
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = Date.now();
+      this.persist();
+      logger.info(`API key revocada: ${record.name} (${record.prefix}...)`);
+    }
+
+    return this.toPublicKey(record);
+  }
+
+  toPublicKey(record) {
+    const { hash, ...publicRecord } = record;
+    return publicRecord;
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,180 @@
+/**
+ * src/services/backendOutboxService.js
+ * Almacén en disco de entregas al backend pendientes de reintento y fallidas (dead-letter)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { readJson, writeJson, ensureDir } = require('../utils/fileStore');
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DEAD_LETTER: 'dead-letter'
+};
+
+const DELIVERY_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+class BackendOutboxService {
+  constructor() {
+    const outboxDir = path.join(config.dataPath, 'outbox');
+    this.dirs = {
+      [DELIVERY_STATUS.PENDING]: ensureDir(path.join(outboxDir, 'pending')),
+      [DELIVERY_STATUS.DEAD_LETTER]: ensureDir(path.join(outboxDir, 'dead-letter'))
+    };
+  }
+
+  /**
+   * Crea una entrega nueva (todavía no se guarda en disco)
+   * @param {string} endpoint - Endpoint del backend global o URL absoluta de un webhook de sesión
+   * @param {Object} payload - Cuerpo a enviar
+   * @param {Object} meta - { eventType, sessionId, referenceId, targetId, headers }
+   * @returns {Object} - Entrega
+   */
+  create(endpoint, payload, meta = {}) {
+    const now = Date.now();
+
+    return {
+      id: crypto.randomUUID(),
+      endpoint,
+      eventType: meta.eventType || payload.event || 'message',
+      sessionId: meta.sessionId || payload.sessionId || null,
+      referenceId: meta.referenceId || null,
+      targetId: meta.targetId || null,
+      idempotencyKey: meta.idempotencyKey || null,
+      headers: meta.headers || {},
+      payload,
+      attempts: 0,
+      replayCount: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastError: null
+    };
+  }
+
+  getFilePath(status, deliveryId) {
+    // El ID llega desde rutas de administración: evitar rutas fuera del directorio
+    if (!DELIVERY_ID_PATTERN.test(deliveryId || '')) {
+      throw new Error(`ID de entrega inválido: ${deliveryId}`);
+    }
+    return path.join(this.dirs[status], `${deliveryId}.json`);
+  }
+
+  /**
+   * Guarda (o actualiza) una entrega pendiente de reintento
+   * @param {Object} delivery - Entrega
+   */
+  savePending(delivery) {
+    delivery.status = DELIVERY_STATUS.PENDING;
+    writeJson(this.getFilePath(DELIVERY_STATUS.PENDING, delivery.id), delivery);
+  }
+
+  /**
+   * Elimina una entrega de pendientes (entregada o movida a dead-letter)
+   * @param {string} deliveryId - ID de la entrega
+   */
+  removePending(deliveryId) {
+    const filePath = this.getFilePath(DELIVERY_STATUS.PENDING, deliveryId);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  /**
+   * Mueve una entrega fallida definitivamente al directorio dead-letter
+   * @param {Object} delivery - Entrega
+   */
+  moveToDeadLetter(delivery) {
+    delivery.status = DELIVERY_STATUS.DEAD_LETTER;
+    delivery.deadLetteredAt = Date.now();
+    delivery.nextAttemptAt = null;
+
+    writeJson(this.getFilePath(DELIVERY_STATUS.DEAD_LETTER, delivery.id), delivery);
+    this.removePending(delivery.id);
+
+    logger.error(`Entrega ${delivery.id} movida a dead-letter tras ${delivery.attempts} intentos`, {
+      eventType: delivery.eventType,
+      sessionId: delivery.sessionId,
+      referenceId: delivery.referenceId,
+      lastError: delivery.lastError?.message
+    });
+  }
+
+  /**
+   * Saca una entrega de dead-letter para volver a enviarla
+   * @param {string} deliveryId - ID de la entrega
+   * @returns {Object} - Entrega
+   */
+  takeFromDeadLetter(deliveryId) {
+    const filePath = this.getFilePath(DELIVERY_STATUS.DEAD_LETTER, deliveryId);
+    const delivery = readJson(filePath);
+
+    if (!delivery) {
+      throw new Error(`Registro de entrega ${deliveryId} no encontrado en dead-letter`);
+    }
+
+    fs.unlinkSync(filePath);
+    return delivery;
+  }
+
+  /**
+   * Lista las entregas de un estado ordenadas por creación
+   * @param {string} status - pending o dead-letter
+   * @returns {Array} - Entregas
+   */
+  list(status) {
+    const dir = this.dirs[status];
+    if (!dir) {
+      throw new Error(`Estado de entrega inválido: ${status}`);
+    }
+
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => readJson(path.join(dir, file)))
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Busca una entrega en pendientes o dead-letter
+   * @param {string} deliveryId - ID de la entrega
+   * @returns {Object|null} - Entrega o null
+   */
+  get(deliveryId) {
+    for (const status of Object.values(DELIVERY_STATUS)) {
+      const delivery = readJson(this.getFilePath(status, deliveryId));
+      if (delivery) {
+        return delivery;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cuenta las entregas por estado sin parsear los archivos
+   * @returns {Object} - { pending, deadLetter }
+   */
+  getStats() {
+    const count = (status) => fs.readdirSync(this.dirs[status]).filter(file => file.endsWith('.json')).length;
+
+    return {
+      pending: count(DELIVERY_STATUS.PENDING),
+      deadLetter: count(DELIVERY_STATUS.DEAD_LETTER)
+    };
+  }
+
+  /**
+   * Resumen de una entrega sin payload ni headers (pueden llevar credenciales), para listados
+   * @param {Object} delivery - Entrega
+   * @returns {Object} - Resumen
+   */
+  toSummary(delivery) {
+    const { payload, headers, ...summary } = delivery;
+    return summary;
+  }
+}
+
+module.exports = new BackendOutboxService();
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
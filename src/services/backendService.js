@@ -1,6 +1,12 @@
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
+const backendOutboxService = require('./backendOutboxService');
+const webhookService = require('./webhookService');
+const mediaStorageService = require('./mediaStorageService');
+const { buildSignatureHeaders, buildIdempotencyKey } = require('../utils/webhookSignature');
+
+const { DELIVERY_STATUS } = backendOutboxService;
 
 /**
  * Servicio simplificado para comunicación directa con el backend principal
@@ -9,8 +15,18 @@ class BackendService {
   constructor() {
     this.initialized = false;
     this.client = null;
+    this.outboxTimer = null;
+    this.processingOutbox = false;
+    this.inFlight = new Set(); // IDs de entregas con un intento en curso
     
     this.initializeClient();
+
+    if (!config.backend.webhookSecret) {
+      logger.warn('BACKEND_WEBHOOK_SECRET no configurado: los envíos al backend global irán sin firma');
+    }
+
+    // Reanudar entregas que quedaron pendientes antes de un reinicio
+    this.scheduleOutbox();
   }
 
   /**
@@ -44,66 +60,357 @@ class BackendService {
   }
 
   /**
-   * Envía un mensaje individual al backend de forma no bloqueante
+   * Envía un mensaje individual al backend de forma no bloqueante.
+   * La entrega se guarda en el outbox en disco antes del primer intento y, si falla,
+   * se reintenta con backoff exponencial
    * @param {Object} messageData - Datos completos del mensaje
-   * @returns {Promise<boolean>} - true si el envío fue exitoso, false en caso contrario
+   * @returns {Promise<boolean>} - true si se entregó en el primer intento, false si quedó pendiente o falló
    */
   async sendMessageToBackend(messageData) {
     if (!this.initialized || !this.client) {
-      logger.warn('Cliente HTTP no inicializado, no se puede enviar mensaje');
-      return false;
+      logger.warn('Cliente HTTP no inicializado, el mensaje queda pendiente en el outbox');
     }
 
+    // Preparar payload con estructura estándar
+    const payload = this.prepareMessagePayload(messageData);
+
+    logger.debug(`Enviando mensaje individual al backend`, {
+      messageId: messageData.id,
+      chatId: messageData.from,
+      sessionId: messageData.sessionId
+    });
+
+    return this.dispatch('message', messageData.sessionId, payload, {
+      endpoint: config.backend.messagesEndpoint,
+      referenceId: messageData.id,
+      idempotencyKey: payload.idempotencyKey
+    });
+  }
+
+  /**
+   * Envía un evento distinto de un mensaje (ack, etc.) al backend, con los mismos reintentos
+   * @param {string} eventType - Tipo de evento (ej: message_ack)
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} data - Datos del evento
+   * @returns {Promise<boolean>} - true si se entregó en el primer intento, false si quedó pendiente o falló
+   */
+  async sendEventToBackend(eventType, sessionId, data) {
+    if (!this.initialized || !this.client) {
+      logger.warn(`Cliente HTTP no inicializado, el evento ${eventType} queda pendiente en el outbox`);
+    }
+
+    const payload = this.prepareEventPayload(eventType, sessionId, data);
+    return this.dispatch(eventType, sessionId, payload, {
+      endpoint: config.backend.eventsEndpoint,
+      referenceId: data?.messageId || null
+    });
+  }
+
+  /**
+   * Reparte un payload entre los webhooks de la sesión suscritos al evento o, si la sesión
+   * no tiene webhooks propios, al backend global (solo mensajes, acks y eventos de grupo)
+   * @param {string} eventType - Tipo de evento
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} payload - Cuerpo a enviar
+   * @param {Object} options - { endpoint, referenceId, idempotencyKey } endpoint del backend global
+   * @returns {Promise<boolean>} - true si todos los destinos lo aceptaron en el primer intento
+   */
+  async dispatch(eventType, sessionId, payload, options) {
+    const meta = {
+      eventType,
+      sessionId,
+      referenceId: options.referenceId,
+      idempotencyKey: options.idempotencyKey || null
+    };
+    let deliveries;
+
+    if (webhookService.hasOwnTargets(sessionId)) {
+      deliveries = webhookService.getTargetsForEvent(sessionId, eventType)
+        .map(target => backendOutboxService.create(target.url, payload, {
+          ...meta,
+          targetId: target.id,
+          headers: target.headers
+        }));
+    } else if (webhookService.isGlobalBackendEvent(eventType)) {
+      deliveries = [backendOutboxService.create(options.endpoint, payload, meta)];
+    } else {
+      deliveries = [];
+    }
+
+    if (deliveries.length === 0) {
+      logger.debug(`Evento ${eventType} de sesión ${sessionId} sin destinos suscritos`);
+      return true;
+    }
+
+    const results = await Promise.all(deliveries.map(delivery => this.attemptDelivery(delivery)));
+    return results.every(Boolean);
+  }
+
+  /**
+   * Intenta una entrega. Se guarda en disco antes de enviarla, para que un reinicio durante
+   * el intento no la pierda; si falla queda pendiente o, agotados los reintentos
+   * (config.backend.retries), se mueve a dead-letter
+   * @param {Object} delivery - Entrega creada por backendOutboxService
+   * @returns {Promise<boolean>} - true si el backend la aceptó
+   */
+  async attemptDelivery(delivery) {
+    delivery.attempts++;
+    delivery.lastAttemptAt = Date.now();
+    backendOutboxService.savePending(delivery);
+    this.inFlight.add(delivery.id);
+
     try {
-      // Preparar payload con estructura estándar
-      const payload = this.prepareMessagePayload(messageData);
-      
-      // Log de envío inmediato
-      logger.debug(`Enviando mensaje individual al backend`, {
-        messageId: messageData.id,
-        chatId: messageData.from,
-        sessionId: messageData.sessionId
-      });
+      if (!this.initialized || !this.client) {
+        throw new Error('Cliente HTTP para backend no inicializado');
+      }
 
-      // Realizar request con timeout específico
-      const response = await this.client.post(config.backend.messagesEndpoint, payload);
+      const secret = this.resolveSigningSecret(delivery);
 
-      // Verificar respuesta exitosa
-      if (response.status >= 200 && response.status < 300) {
-        logger.info(`Mensaje enviado exitosamente al backend`, {
-          messageId: messageData.id,
-          chatId: messageData.from,
-          sessionId: messageData.sessionId,
-          responseStatus: response.status
-        });
+      // Se firma el body exacto que se envía, serializado una sola vez
+      const body = JSON.stringify(this.buildRequestPayload(delivery.payload));
+      const signatureHeaders = buildSignatureHeaders({
+        secret,
+        body,
+        deliveryId: delivery.id,
+        eventType: delivery.eventType,
+        idempotencyKey: delivery.idempotencyKey
+      });
 
-        return true;
-      } else {
+      // Las URLs absolutas (webhooks de sesión) ignoran el baseURL del backend global
+      const response = await this.client.post(delivery.endpoint, body, {
+        headers: { ...(delivery.headers || {}), ...signatureHeaders }
+      });
+
+      if (response.status < 200 || response.status >= 300) {
         throw new Error(`Respuesta inesperada del backend: ${response.status}`);
       }
 
+      backendOutboxService.removePending(delivery.id);
+      delivery.status = 'delivered';
+      delivery.deliveredAt = Date.now();
+
+      logger.info(`${delivery.eventType} entregado al backend`, {
+        deliveryId: delivery.id,
+        referenceId: delivery.referenceId,
+        sessionId: delivery.sessionId,
+        attempts: delivery.attempts,
+        responseStatus: response.status
+      });
+
+      return true;
     } catch (error) {
-      // Log error pero no fallar
-      if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-        logger.warn(`Backend no disponible, mensaje no enviado`, {
-          messageId: messageData.id,
-          chatId: messageData.from,
-          sessionId: messageData.sessionId,
-          error: error.code
-        });
-      } else {
-        logger.error(`Error al enviar mensaje al backend`, {
-          messageId: messageData.id,
-          chatId: messageData.from,
-          sessionId: messageData.sessionId,
-          errorMessage: error.message,
-          errorCode: error.code,
-          responseStatus: error.response?.status
-        });
+      delivery.lastError = {
+        message: error.message,
+        code: error.code || null,
+        responseStatus: error.response?.status || null,
+        at: Date.now()
+      };
+
+      const retryable = !error.permanent && this.isRetryableError(error);
+
+      if (!retryable || delivery.attempts > config.backend.retries) {
+        backendOutboxService.moveToDeadLetter(delivery);
+        return false;
       }
 
+      // Backoff exponencial: retryDelay, 2x, 4x... con un máximo
+      const delay = Math.min(
+        config.backend.retryDelay * Math.pow(2, delivery.attempts - 1),
+        config.backend.maxRetryDelay
+      );
+      delivery.nextAttemptAt = Date.now() + delay;
+      backendOutboxService.savePending(delivery);
+
+      logger.warn(`Backend no disponible, ${delivery.eventType} pendiente de reintento`, {
+        deliveryId: delivery.id,
+        referenceId: delivery.referenceId,
+        sessionId: delivery.sessionId,
+        attempt: delivery.attempts,
+        retryInMs: delay,
+        errorMessage: error.message,
+        errorCode: error.code,
+        responseStatus: error.response?.status
+      });
+
+      this.scheduleOutbox();
       return false;
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  /**
+   * Payload tal como se envía: el del outbox solo guarda el mediaId y la URL de descarga
+   * se firma en cada intento, para que los reintentos y reenvíos no lleven una URL caducada
+   * @param {Object} payload - Payload guardado en el outbox
+   * @returns {Object}
+   */
+  buildRequestPayload(payload) {
+    if (!payload.media || !payload.media.mediaId) {
+      return payload;
+    }
+    return { ...payload, media: mediaStorageService.withSignedUrl(payload.media) };
+  }
+
+  /**
+   * Obtiene el secreto con el que firmar una entrega. Se resuelve en cada intento para que
+   * una rotación de secreto aplique también a los reintentos pendientes
+   * @param {Object} delivery - Entrega
+   * @returns {string|null} - Secreto, o null si el backend global no tiene secreto configurado
+   */
+  resolveSigningSecret(delivery) {
+    if (!delivery.targetId) {
+      return config.backend.webhookSecret || null;
+    }
+
+    const target = webhookService.getTarget(delivery.sessionId, delivery.targetId);
+    if (!target) {
+      const error = new Error(`Destino ${delivery.targetId} eliminado de la configuración de la sesión`);
+      error.permanent = true;
+      throw error;
+    }
+
+    return target.secret;
+  }
+
+  /**
+   * Errores de red, timeouts, 5xx, 408 y 429 se reintentan; el resto de 4xx no
+   * (el backend rechazó el payload y reenviarlo no cambiará el resultado)
+   * @param {Error} error - Error de axios
+   * @returns {boolean}
+   */
+  isRetryableError(error) {
+    const status = error.response?.status;
+    if (!status) {
+      return true;
     }
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  /**
+   * Programa el procesamiento del outbox para la próxima entrega vencida
+   */
+  scheduleOutbox() {
+    if (this.outboxTimer || this.processingOutbox) return;
+
+    let pending;
+    try {
+      pending = backendOutboxService.list(DELIVERY_STATUS.PENDING)
+        .filter(delivery => !this.inFlight.has(delivery.id));
+    } catch (error) {
+      logger.error('Error al leer outbox del backend:', { errorMessage: error.message });
+      return;
+    }
+
+    if (pending.length === 0) return;
+
+    const nextAttemptAt = pending.reduce(
+      (earliest, delivery) => Math.min(earliest, delivery.nextAttemptAt || 0),
+      Infinity
+    );
+    const delay = Math.max(0, nextAttemptAt - Date.now());
+
+    this.outboxTimer = setTimeout(() => {
+      this.outboxTimer = null;
+      this.processOutbox();
+    }, delay);
+  }
+
+  /**
+   * Reintenta en orden de creación las entregas pendientes cuyo plazo ya venció
+   */
+  async processOutbox() {
+    if (this.processingOutbox) return;
+    this.processingOutbox = true;
+
+    try {
+      const now = Date.now();
+      // Las que tienen un intento en curso (primer envío) ya están en disco: no duplicarlas
+      const due = backendOutboxService.list(DELIVERY_STATUS.PENDING)
+        .filter(delivery => (delivery.nextAttemptAt || 0) <= now && !this.inFlight.has(delivery.id));
+
+      for (const delivery of due) {
+        await this.attemptDelivery(delivery);
+      }
+    } catch (error) {
+      logger.error('Error al procesar outbox del backend:', {
+        errorMessage: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.processingOutbox = false;
+      this.scheduleOutbox();
+    }
+  }
+
+  /**
+   * Vuelve a enviar una entrega de dead-letter. Si vuelve a fallar sigue el ciclo normal de reintentos
+   * @param {string} deliveryId - ID de la entrega
+   * @returns {Promise<Object>} - { delivered, delivery }
+   */
+  async replayDelivery(deliveryId) {
+    const delivery = backendOutboxService.takeFromDeadLetter(deliveryId);
+
+    delivery.attempts = 0;
+    delivery.replayCount = (delivery.replayCount || 0) + 1;
+    delivery.lastReplayAt = Date.now();
+    delete delivery.deadLetteredAt;
+
+    logger.info(`Reenviando entrega ${deliveryId} desde dead-letter`, {
+      eventType: delivery.eventType,
+      sessionId: delivery.sessionId,
+      replayCount: delivery.replayCount
+    });
+
+    const delivered = await this.attemptDelivery(delivery);
+    return {
+      delivered,
+      delivery: backendOutboxService.toSummary(delivery)
+    };
+  }
+
+  /**
+   * Reenvía todas las entregas de dead-letter (opcionalmente de una sesión)
+   * @param {Object} filters - { sessionId }
+   * @returns {Promise<Object>} - Resumen del reenvío
+   */
+  async replayDeadLetters(filters = {}) {
+    const deliveries = backendOutboxService.list(DELIVERY_STATUS.DEAD_LETTER)
+      .filter(delivery => !filters.sessionId || delivery.sessionId === filters.sessionId);
+
+    const results = [];
+    for (const delivery of deliveries) {
+      const result = await this.replayDelivery(delivery.id);
+      results.push({
+        deliveryId: delivery.id,
+        delivered: result.delivered,
+        status: result.delivery.status
+      });
+    }
+
+    return {
+      total: results.length,
+      delivered: results.filter(result => result.delivered).length,
+      failed: results.filter(result => !result.delivered).length,
+      results
+    };
+  }
+
+  /**
+   * Prepara el payload de un evento con la misma cabecera que los mensajes
+   * @param {string} eventType - Tipo de evento
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} data - Datos del evento
+   * @returns {Object} - Payload estructurado para el backend
+   */
+  prepareEventPayload(eventType, sessionId, data) {
+    return {
+      event: eventType,
+      sessionId,
+      serviceVersion: config.backend.userAgent,
+      timestamp: Date.now(),
+      data
+    };
   }
 
   /**
@@ -113,12 +420,20 @@ class BackendService {
    */
   prepareMessagePayload(messageData) {
     const payload = {
+      event: 'message',
+
+      // Igual para todos los envíos de un mismo mensaje (también en el header Idempotency-Key)
+      idempotencyKey: buildIdempotencyKey(messageData.sessionId, messageData.id),
+      
       // Información de sesión y servicio
       sessionId: messageData.sessionId,
       serviceVersion: config.backend.userAgent,
       timestamp: Date.now(),
       capturedAt: messageData.timestamp,
       
+      // inbound: recibido; outbound: escrito desde el teléfono de la sesión
+      direction: messageData.direction || 'inbound',
+      
       // Datos principales del mensaje
       message: {
         id: messageData.id,
@@ -130,12 +445,14 @@ class BackendService {
         hasMedia: messageData.hasMedia || false,
         isForwarded: messageData.isForwarded || false,
         isStatus: messageData.isStatus || false,
-        deviceType: messageData.deviceType || null
+        fromMe: messageData.fromMe || false,
+        deviceType: messageData.deviceType || null,
+        isBackfill: messageData.isBackfill || false
       },
 
       // Información de chat
       chat: {
-        id: messageData.from,
+        id: messageData.chatId || messageData.from,
         isGroup: messageData.isGroupMessage || false,
         name: messageData.groupName || messageData.contactName || null
       }
@@ -188,7 +505,12 @@ class BackendService {
         isViewOnce: messageData.media.isViewOnce || false
       };
 
-      // Solo incluir data de medios pequeños (< 1MB)
+      // Medio guardado en el almacenamiento local: la URL firmada se añade en cada intento de entrega
+      if (messageData.media.mediaId) {
+        payload.media.mediaId = messageData.media.mediaId;
+      }
+
+      // Sin almacenamiento (MEDIA_STORAGE_ENABLED=false): solo incluir data de medios pequeños (< 1MB)
       if (messageData.media.data && messageData.media.data.length < 1048576) {
         payload.media.data = messageData.media.data;
       }
@@ -0,0 +1,182 @@
+/**
+ * src/services/chatActionService.js
+ * Acciones sobre la bandeja de entrada de una sesión: marcar como leído o no leído, archivar,
+ * fijar, silenciar, vaciar y eliminar chats, y bloquear o desbloquear contactos.
+ */
+
+const logger = require('../utils/logger');
+const whatsappService = require('./whatsappService');
+const chatService = require('./whatsappChatService');
+
+const CHAT_ACTIONS = ['read', 'unread', 'archive', 'unarchive', 'pin', 'unpin', 'mute', 'unmute', 'clear', 'delete'];
+
+// Silencio máximo con duración: un año. Sin duration se silencia para siempre
+const MAX_MUTE_SECONDS = 365 * 24 * 60 * 60;
+
+class ChatActionService {
+  /**
+   * Obtiene un chat de la sesión
+   * @param {Object} client - Cliente de WhatsApp
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat
+   * @returns {Promise<Object>} - Chat de whatsapp-web.js
+   */
+  async getChat(client, sessionId, chatId) {
+    let chat = null;
+    try {
+      chat = await client.getChatById(chatId);
+    } catch (error) {
+      logger.debug(`No se pudo obtener el chat ${chatId}: ${error.message}`);
+    }
+
+    if (!chat) {
+      throw new Error(`Chat ${chatId} no encontrado en la sesión ${sessionId}`);
+    }
+    return chat;
+  }
+
+  /**
+   * Estado del chat tras una acción
+   * @param {Object} chat - Chat de whatsapp-web.js
+   * @returns {Object}
+   */
+  formatChatState(chat) {
+    return {
+      id: chat.id._serialized,
+      name: chat.name || chat.id.user || 'Sin nombre',
+      isGroup: chat.isGroup || false,
+      unreadCount: chat.unreadCount || 0,
+      isArchived: chat.archived || false,
+      isPinned: chat.pinned || false,
+      isMuted: chat.isMuted || false,
+      muteExpiration: chat.muteExpiration > 0 ? chat.muteExpiration : null // -1: silenciado para siempre
+    };
+  }
+
+  /**
+   * Ejecuta una acción sobre un chat
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat o número
+   * @param {string} action - read, unread, archive, unarchive, pin, unpin, mute, unmute, clear o delete
+   * @param {Object} options - { duration } segundos de silencio para mute
+   * @returns {Promise<Object>} - { action, chat } con chat en null tras delete
+   */
+  async performAction(sessionId, chatId, action, options = {}) {
+    if (!CHAT_ACTIONS.includes(action)) {
+      throw new Error(`Acción inválida: ${action}. Permitidas: ${CHAT_ACTIONS.join(', ')}`);
+    }
+
+    let unmuteDate;
+    if (action === 'mute' && options.duration !== undefined && options.duration !== null) {
+      const duration = parseInt(options.duration, 10);
+      if (isNaN(duration) || duration < 1 || duration > MAX_MUTE_SECONDS) {
+        throw new Error(`duration inválida, debe estar entre 1 y ${MAX_MUTE_SECONDS} segundos (o no enviarse para silenciar siempre)`);
+      }
+      unmuteDate = new Date(Date.now() + duration * 1000);
+    }
+
+    const client = await whatsappService.getConnectedClient(sessionId);
+    const targetChatId = whatsappService.normalizeChatId(chatId);
+    const chat = await this.getChat(client, sessionId, targetChatId);
+
+    let result;
+    switch (action) {
+      case 'read':
+        result = await chat.sendSeen();
+        break;
+      case 'unread':
+        await chat.markUnread();
+        break;
+      case 'archive':
+        await chat.archive();
+        break;
+      case 'unarchive':
+        await chat.unarchive();
+        break;
+      case 'pin':
+        result = await chat.pin();
+        // WhatsApp permite un número limitado de chats fijados
+        if (result === false) {
+          throw new Error('No se puede fijar el chat: se alcanzó el máximo de chats fijados');
+        }
+        break;
+      case 'unpin':
+        await chat.unpin();
+        break;
+      case 'mute':
+        await chat.mute(unmuteDate);
+        break;
+      case 'unmute':
+        await chat.unmute();
+        break;
+      case 'clear':
+        result = await chat.clearMessages();
+        break;
+      case 'delete':
+        result = await chat.delete();
+        break;
+    }
+
+    if (result === false && ['clear', 'delete'].includes(action)) {
+      throw new Error(`No se puede ${action === 'clear' ? 'vaciar' : 'eliminar'} el chat ${targetChatId}`);
+    }
+
+    chatService.clearCache(sessionId);
+    whatsappService.updateSessionActivity(sessionId);
+    logger.info(`Acción ${action} sobre chat ${targetChatId} en sesión ${sessionId}`);
+
+    if (action === 'delete') {
+      return { action, chat: null };
+    }
+
+    // Volver a leer el chat para devolver el estado actualizado
+    const updated = await this.getChat(client, sessionId, targetChatId);
+    return { action, chat: this.formatChatState(updated) };
+  }
+
+  /**
+   * Bloquea o desbloquea un contacto
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} contactId - ID del contacto o número
+   * @param {boolean} blocked - true para bloquear, false para desbloquear
+   * @returns {Promise<Object>} - { contact: { id, number, isBlocked } }
+   */
+  async setContactBlocked(sessionId, contactId, blocked) {
+    const client = await whatsappService.getConnectedClient(sessionId);
+    const targetContactId = whatsappService.normalizeChatId(contactId);
+
+    if (!targetContactId.endsWith('@c.us') && !targetContactId.endsWith('@lid')) {
+      throw new Error(`contactId inválido: ${targetContactId}. Solo se pueden bloquear contactos`);
+    }
+
+    let contact = null;
+    try {
+      contact = await client.getContactById(targetContactId);
+    } catch (error) {
+      logger.debug(`No se pudo obtener el contacto ${targetContactId}: ${error.message}`);
+    }
+    if (!contact) {
+      throw new Error(`Contacto ${targetContactId} no encontrado en la sesión ${sessionId}`);
+    }
+
+    const changed = blocked ? await contact.block() : await contact.unblock();
+    if (!changed) {
+      throw new Error(`No se puede ${blocked ? 'bloquear' : 'desbloquear'} el contacto ${targetContactId}`);
+    }
+
+    chatService.clearCache(sessionId);
+    whatsappService.updateSessionActivity(sessionId);
+    logger.info(`Contacto ${targetContactId} ${blocked ? 'bloqueado' : 'desbloqueado'} en sesión ${sessionId}`);
+
+    return {
+      contact: {
+        id: targetContactId,
+        number: contact.number || targetContactId.split('@')[0],
+        isBlocked: blocked
+      }
+    };
+  }
+}
+
+module.exports = new ChatActionService();
+module.exports.CHAT_ACTIONS = CHAT_ACTIONS;
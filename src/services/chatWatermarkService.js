@@ -0,0 +1,128 @@
+/**
+ * src/services/chatWatermarkService.js
+ * Marca de agua por chat: último mensaje entrante procesado de cada chat, para
+ * recuperar tras una reconexión o reinicio los mensajes recibidos mientras tanto
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { readJson, writeJson, ensureDir } = require('../utils/fileStore');
+
+// IDs recordados con el timestamp de la marca (varios mensajes pueden compartir segundo)
+const MAX_IDS_AT_WATERMARK = 20;
+
+// Retraso para agrupar escrituras a disco cuando llegan muchos mensajes seguidos
+const PERSIST_DEBOUNCE_MS = 2000;
+
+class ChatWatermarkService {
+  constructor() {
+    this.watermarkDir = ensureDir(path.join(config.dataPath, 'watermarks'));
+    this.watermarks = new Map(); // sessionId -> Map(chatId -> { timestamp, messageIds, updatedAt })
+    this.persistTimers = new Map(); // sessionId -> timeout de escritura pendiente
+  }
+
+  /**
+   * Obtiene (cargando de disco si hace falta) las marcas de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Map} - chatId -> marca
+   */
+  getSessionWatermarks(sessionId) {
+    if (!this.watermarks.has(sessionId)) {
+      const stored = readJson(path.join(this.watermarkDir, `${sessionId}.json`), {});
+      this.watermarks.set(sessionId, new Map(Object.entries(stored)));
+    }
+    return this.watermarks.get(sessionId);
+  }
+
+  get(sessionId, chatId) {
+    return this.getSessionWatermarks(sessionId).get(chatId) || null;
+  }
+
+  /**
+   * Avanza la marca de un chat con un mensaje procesado (nunca retrocede)
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat
+   * @param {Object} message - { messageId, timestamp } con timestamp en segundos unix
+   */
+  update(sessionId, chatId, message) {
+    const watermarks = this.getSessionWatermarks(sessionId);
+    const current = watermarks.get(chatId);
+
+    if (current && message.timestamp < current.timestamp) {
+      return;
+    }
+
+    const messageIds = current && current.timestamp === message.timestamp
+      ? [...current.messageIds.filter(id => id !== message.messageId), message.messageId].slice(-MAX_IDS_AT_WATERMARK)
+      : [message.messageId];
+
+    watermarks.set(chatId, {
+      timestamp: message.timestamp,
+      messageIds,
+      updatedAt: Date.now()
+    });
+    this.schedulePersist(sessionId);
+  }
+
+  /**
+   * Indica si un mensaje es posterior a la marca de su chat (y por tanto no se procesó)
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat
+   * @param {Object} message - { messageId, timestamp }
+   * @returns {boolean}
+   */
+  isAfterWatermark(sessionId, chatId, message) {
+    const current = this.get(sessionId, chatId);
+    if (!current) {
+      return true;
+    }
+
+    if (message.timestamp !== current.timestamp) {
+      return message.timestamp > current.timestamp;
+    }
+    return !current.messageIds.includes(message.messageId);
+  }
+
+  schedulePersist(sessionId) {
+    if (this.persistTimers.has(sessionId)) return;
+
+    const timer = setTimeout(() => {
+      this.persistTimers.delete(sessionId);
+      this.persist(sessionId);
+    }, PERSIST_DEBOUNCE_MS);
+
+    this.persistTimers.set(sessionId, timer);
+  }
+
+  persist(sessionId) {
+    try {
+      writeJson(path.join(this.watermarkDir, `${sessionId}.json`), Object.fromEntries(this.getSessionWatermarks(sessionId)));
+    } catch (error) {
+      logger.error(`Error al guardar marcas de chats de sesión ${sessionId}:`, {
+        errorMessage: error.message
+      });
+    }
+  }
+
+  /**
+   * Elimina las marcas guardadas de una sesión
+   * @param {string} sessionId - ID de la sesión
+   */
+  clearSession(sessionId) {
+    if (this.persistTimers.has(sessionId)) {
+      clearTimeout(this.persistTimers.get(sessionId));
+      this.persistTimers.delete(sessionId);
+    }
+
+    this.watermarks.delete(sessionId);
+
+    const watermarkPath = path.join(this.watermarkDir, `${sessionId}.json`);
+    if (fs.existsSync(watermarkPath)) {
+      fs.unlinkSync(watermarkPath);
+    }
+  }
+}
+
+module.exports = new ChatWatermarkService();
@@ -1,29 +1,58 @@
+const config = require('../config');
 const logger = require('../utils/logger');
+const LruCache = require('../utils/lruCache');
+
+const DEFAULT_CONTACTS_PAGE_SIZE = 50;
+const MAX_CONTACTS_PAGE_SIZE = 200;
+const MAX_NUMBERS_PER_CHECK = 100;
+
+/**
+ * Normaliza texto para la búsqueda: minúsculas y sin acentos
+ * @param {string} text - Texto original
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
 
 /**
  * Clase para gestionar información de contactos y grupos
  */
 class ContactsManager {
   constructor() {
-    this.contactsCache = new Map(); // Caché de información de contactos por número
-    this.groupsCache = new Map();   // Caché de información de grupos por ID
-    this.cacheExpiryMs = 3600000;   // 1 hora de validez para caché
+    const { ttl, maxContacts, maxGroups, maxNumbers } = config.contactsCache;
+
+    this.contactsCache = new LruCache({ maxEntries: maxContacts, ttlMs: ttl }); // Clave "sessionId:contactId"
+    this.groupsCache = new LruCache({ maxEntries: maxGroups, ttlMs: ttl });     // Clave "sessionId:groupId"
+    this.numbersCache = new LruCache({ maxEntries: maxNumbers, ttlMs: ttl });   // Clave "sessionId:dígitos" -> WID o null
+  }
+
+  /**
+   * Clave de caché: cada sesión tiene su propia agenda y sus propios grupos
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} id - ID del contacto, grupo o número
+   * @returns {string}
+   */
+  getCacheKey(sessionId, id) {
+    return `${sessionId}:${id}`;
   }
 
   /**
    * Obtiene información de un contacto (nombre guardado, etc.)
+   * @param {string} sessionId - ID de la sesión
    * @param {Object} client - Cliente de WhatsApp
    * @param {string} contactId - ID del contacto (número)
    * @returns {Promise<Object>} - Información del contacto
    */
-  async getContactInfo(client, contactId) {
+  async getContactInfo(sessionId, client, contactId) {
     if (!client || !contactId) {
       return null;
     }
 
     try {
       // Revisar caché primero
-      const cachedContact = this.getCachedContact(contactId);
+      const cachedContact = this.getCachedContact(sessionId, contactId);
       if (cachedContact) {
         return cachedContact;
       }
@@ -66,7 +95,7 @@ class ContactsManager {
       }
 
       // Guardar en caché
-      this.cacheContact(contactId, contactInfo);
+      this.cacheContact(sessionId, contactId, contactInfo);
       
       return contactInfo;
     } catch (error) {
@@ -80,18 +109,19 @@ class ContactsManager {
 
   /**
    * Obtiene información detallada de un grupo
+   * @param {string} sessionId - ID de la sesión
    * @param {Object} client - Cliente de WhatsApp
    * @param {string} groupId - ID del grupo
    * @returns {Promise<Object>} - Información del grupo
    */
-  async getGroupInfo(client, groupId) {
+  async getGroupInfo(sessionId, client, groupId) {
     if (!client || !groupId) {
       return null;
     }
 
     try {
       // Revisar caché primero
-      const cachedGroup = this.getCachedGroup(groupId);
+      const cachedGroup = this.getCachedGroup(sessionId, groupId);
       if (cachedGroup) {
         return cachedGroup;
       }
@@ -111,6 +141,11 @@ class ContactsManager {
         isGroup: true,
         participantsCount: chat.participants ? chat.participants.length : 0,
         isReadOnly: chat.isReadOnly || false,
+        description: chat.description || null,
+        owner: chat.owner ? chat.owner._serialized : null,
+        createdAt: chat.createdAt ? new Date(chat.createdAt).getTime() : null,
+        isAnnouncement: Boolean(chat.groupMetadata && chat.groupMetadata.announce), // Solo los admins envían mensajes
+        isRestricted: Boolean(chat.groupMetadata && chat.groupMetadata.restrict),   // Solo los admins editan la información
         timestamp: Date.now()
       };
 
@@ -120,7 +155,7 @@ class ContactsManager {
           const contactId = participant.id._serialized;
           
           // Obtener nombre del contacto si es posible
-          let contactInfo = await this.getContactInfo(client, contactId);
+          let contactInfo = await this.getContactInfo(sessionId, client, contactId);
           if (!contactInfo) {
             contactInfo = {
               id: contactId,
@@ -154,7 +189,7 @@ class ContactsManager {
       }
 
       // Guardar en caché
-      this.cacheGroup(groupId, groupInfo);
+      this.cacheGroup(sessionId, groupId, groupInfo);
       
       return groupInfo;
     } catch (error) {
@@ -169,95 +204,216 @@ class ContactsManager {
 
   /**
    * Guarda un contacto en caché
+   * @param {string} sessionId - ID de la sesión
    * @param {string} contactId - ID del contacto
    * @param {Object} info - Información del contacto
    */
-  cacheContact(contactId, info) {
+  cacheContact(sessionId, contactId, info) {
     if (!contactId || !info) return;
     
     info.cachedAt = Date.now();
-    this.contactsCache.set(contactId, info);
+    this.contactsCache.set(this.getCacheKey(sessionId, contactId), info);
     logger.debug(`Contacto guardado en caché: ${contactId}`);
   }
 
   /**
    * Obtiene un contacto de la caché si es válido
+   * @param {string} sessionId - ID de la sesión
    * @param {string} contactId - ID del contacto
    * @returns {Object|null} - Información del contacto o null si no está en caché o expiró
    */
-  getCachedContact(contactId) {
-    if (!contactId || !this.contactsCache.has(contactId)) {
-      return null;
-    }
-    
-    const cachedInfo = this.contactsCache.get(contactId);
-    const now = Date.now();
-    
-    // Verificar si la caché ha expirado
-    if (now - cachedInfo.cachedAt > this.cacheExpiryMs) {
-      this.contactsCache.delete(contactId);
-      return null;
-    }
-    
-    return cachedInfo;
+  getCachedContact(sessionId, contactId) {
+    if (!contactId) return null;
+    return this.contactsCache.get(this.getCacheKey(sessionId, contactId)) || null;
   }
 
   /**
    * Guarda un grupo en caché
+   * @param {string} sessionId - ID de la sesión
    * @param {string} groupId - ID del grupo
    * @param {Object} info - Información del grupo
    */
-  cacheGroup(groupId, info) {
+  cacheGroup(sessionId, groupId, info) {
     if (!groupId || !info) return;
     
     info.cachedAt = Date.now();
-    this.groupsCache.set(groupId, info);
+    this.groupsCache.set(this.getCacheKey(sessionId, groupId), info);
     logger.debug(`Grupo guardado en caché: ${groupId}`);
   }
 
   /**
    * Obtiene un grupo de la caché si es válido
+   * @param {string} sessionId - ID de la sesión
    * @param {string} groupId - ID del grupo
    * @returns {Object|null} - Información del grupo o null si no está en caché o expiró
    */
-  getCachedGroup(groupId) {
-    if (!groupId || !this.groupsCache.has(groupId)) {
-      return null;
+  getCachedGroup(sessionId, groupId) {
+    if (!groupId) return null;
+    return this.groupsCache.get(this.getCacheKey(sessionId, groupId)) || null;
+  }
+
+  /**
+   * Descarta la información en caché de un grupo (tras modificarlo)
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} groupId - ID del grupo
+   */
+  invalidateGroup(sessionId, groupId) {
+    this.groupsCache.delete(this.getCacheKey(sessionId, groupId));
+  }
+
+  /**
+   * Lista la agenda de la sesión (solo usuarios, sin grupos ni listas de difusión), ordenada por nombre
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} client - Cliente de WhatsApp
+   * @param {Object} params - { q, limit, offset, onlyMyContacts }
+   * @returns {Promise<Object>} - { contacts, total, nextOffset, hasMore }
+   */
+  async listContacts(sessionId, client, params = {}) {
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_CONTACTS_PAGE_SIZE, 1), MAX_CONTACTS_PAGE_SIZE);
+    const offset = params.offset !== undefined ? parseInt(params.offset, 10) : 0;
+    const terms = params.q ? normalizeText(params.q).split(/\s+/).filter(Boolean) : [];
+
+    if (isNaN(offset) || offset < 0) {
+      throw new Error('Parámetro offset inválido, debe ser un entero mayor o igual a 0');
     }
-    
-    const cachedInfo = this.groupsCache.get(groupId);
-    const now = Date.now();
-    
-    // Verificar si la caché ha expirado
-    if (now - cachedInfo.cachedAt > this.cacheExpiryMs) {
-      this.groupsCache.delete(groupId);
+
+    const contacts = (await client.getContacts())
+      .filter(contact => contact.isUser && !contact.isGroup && !contact.isMe)
+      .filter(contact => !params.onlyMyContacts || contact.isMyContact)
+      .map(contact => ({
+        id: contact.id._serialized,
+        number: contact.number,
+        name: contact.name || null,
+        pushname: contact.pushname || null,
+        shortName: contact.shortName || null,
+        isMyContact: contact.isMyContact || false,
+        isWAContact: contact.isWAContact || false,
+        isBusiness: contact.isBusiness || false,
+        isBlocked: contact.isBlocked || false
+      }))
+      .filter(contact => {
+        if (terms.length === 0) return true;
+        const text = normalizeText([contact.name, contact.pushname, contact.shortName, contact.number].join(' '));
+        return terms.every(term => text.includes(term));
+      })
+      .sort((a, b) => (a.name || a.pushname || a.number || '').localeCompare(b.name || b.pushname || b.number || ''));
+
+    const page = contacts.slice(offset, offset + limit);
+    const hasMore = offset + limit < contacts.length;
+
+    logger.debug(`Agenda de sesión ${sessionId}: ${contacts.length} contactos, devolviendo ${page.length}`);
+
+    return {
+      contacts: page,
+      total: contacts.length,
+      nextOffset: hasMore ? offset + limit : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Normaliza un número de teléfono a E.164 (+ y entre 8 y 15 dígitos, con prefijo de país)
+   * @param {string|number} number - Número con o sin +, 00, espacios, guiones o paréntesis
+   * @returns {string|null} - Dígitos del número sin el +, o null si no es válido
+   */
+  normalizeNumber(number) {
+    if (typeof number !== 'string' && typeof number !== 'number') {
       return null;
     }
-    
-    return cachedInfo;
+
+    let value = String(number).trim().replace(/[\s\-().]/g, '');
+    if (value.startsWith('+')) {
+      value = value.slice(1);
+    } else if (value.startsWith('00')) {
+      value = value.slice(2);
+    }
+
+    return /^[1-9]\d{7,14}$/.test(value) ? value : null;
   }
 
   /**
-   * Limpia la caché de contactos y grupos expirados
+   * Comprueba qué números tienen WhatsApp y resuelve su ID (WID). El WID puede no coincidir
+   * con el número enviado (por ejemplo, números móviles de Argentina con o sin el 9)
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} client - Cliente de WhatsApp
+   * @param {Array} numbers - Números a comprobar
+   * @returns {Promise<Array>} - [{ input, e164, valid, exists, wid }]
    */
-  cleanupCache() {
-    const now = Date.now();
-    
-    // Limpiar caché de contactos
-    this.contactsCache.forEach((info, id) => {
-      if (now - info.cachedAt > this.cacheExpiryMs) {
-        this.contactsCache.delete(id);
-      }
-    });
-    
-    // Limpiar caché de grupos
-    this.groupsCache.forEach((info, id) => {
-      if (now - info.cachedAt > this.cacheExpiryMs) {
-        this.groupsCache.delete(id);
+  async checkNumbers(sessionId, client, numbers) {
+    if (!Array.isArray(numbers) || numbers.length === 0) {
+      throw new Error('numbers inválido, debe ser una lista de números de teléfono');
+    }
+
+    if (numbers.length > MAX_NUMBERS_PER_CHECK) {
+      throw new Error(`numbers inválido, máximo ${MAX_NUMBERS_PER_CHECK} por petición`);
+    }
+
+    const results = [];
+    // Secuencial: cada comprobación es una consulta a los servidores de WhatsApp
+    for (const input of numbers) {
+      const digits = this.normalizeNumber(input);
+      if (!digits) {
+        results.push({ input, e164: null, valid: false, exists: false, wid: null });
+        continue;
       }
-    });
+
+      const wid = await this.resolveNumber(sessionId, client, digits);
+      results.push({ input, e164: `+${digits}`, valid: true, exists: Boolean(wid), wid });
+    }
+
+    return results;
+  }
+
+  /**
+   * Resuelve el WID de un número normalizado, usando la caché de la sesión
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} client - Cliente de WhatsApp
+   * @param {string} digits - Número normalizado, solo dígitos
+   * @returns {Promise<string|null>} - WID serializado o null si no tiene WhatsApp
+   */
+  async resolveNumber(sessionId, client, digits) {
+    const key = this.getCacheKey(sessionId, digits);
+    const cached = this.numbersCache.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const numberId = await client.getNumberId(digits);
+    const wid = numberId ? numberId._serialized : null;
+    this.numbersCache.set(key, wid);
+
+    return wid;
+  }
+
+  /**
+   * Elimina de la caché todo lo de una sesión
+   * @param {string} sessionId - ID de la sesión
+   */
+  clearSession(sessionId) {
+    const prefix = this.getCacheKey(sessionId, '');
+    [this.contactsCache, this.groupsCache, this.numbersCache].forEach(cache => cache.deleteByPrefix(prefix));
+  }
+
+  /**
+   * Limpia la caché de contactos, grupos y números expirados
+   */
+  cleanupCache() {
+    const removed = this.contactsCache.pruneExpired() + this.groupsCache.pruneExpired() + this.numbersCache.pruneExpired();
     
-    logger.debug(`Caché limpiada. Contactos: ${this.contactsCache.size}, Grupos: ${this.groupsCache.size}`);
+    logger.debug(`Caché limpiada (${removed} expiradas). Contactos: ${this.contactsCache.size}, Grupos: ${this.groupsCache.size}, Números: ${this.numbersCache.size}`);
+  }
+
+  /**
+   * Tamaño, límites y aciertos de cada caché
+   * @returns {Object} - { ttl, contacts, groups, numbers }
+   */
+  getStats() {
+    return {
+      ttl: config.contactsCache.ttl,
+      contacts: this.contactsCache.getStats(),
+      groups: this.groupsCache.getStats(),
+      numbers: this.numbersCache.getStats()
+    };
   }
 }
 
@@ -0,0 +1,361 @@
+/**
+ * src/services/groupService.js
+ * Gestión de grupos de una sesión: creación, participantes, información, ajustes e
+ * invitaciones. Todas las operaciones devuelven el grupo actualizado con el formato de
+ * contactsManager.getGroupInfo.
+ */
+
+const logger = require('../utils/logger');
+const whatsappService = require('./whatsappService');
+const contactsManager = require('./contactsManager');
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+const MAX_PARTICIPANTS_PER_REQUEST = 50;
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2048;
+
+// Métodos de GroupChat para cada acción sobre participantes
+const PARTICIPANT_METHODS = {
+  add: 'addParticipants',
+  remove: 'removeParticipants',
+  promote: 'promoteParticipants',
+  demote: 'demoteParticipants'
+};
+
+class GroupService {
+  normalizeGroupId(groupId) {
+    if (!groupId || typeof groupId !== 'string' || !groupId.trim().endsWith('@g.us')) {
+      throw new Error(`groupId inválido: ${groupId}. Debe terminar en @g.us`);
+    }
+    return groupId.trim();
+  }
+
+  /**
+   * Valida una lista de participantes y la normaliza a IDs de contacto
+   * @param {Array} participants - Números o IDs de contacto
+   * @returns {Array} - IDs serializados sin duplicados
+   */
+  normalizeParticipants(participants) {
+    if (!Array.isArray(participants) || participants.length === 0) {
+      throw new Error('participants inválido, debe ser una lista de números o IDs de contacto');
+    }
+
+    if (participants.length > MAX_PARTICIPANTS_PER_REQUEST) {
+      throw new Error(`participants inválido, máximo ${MAX_PARTICIPANTS_PER_REQUEST} por petición`);
+    }
+
+    const ids = participants.map(participant => whatsappService.normalizeChatId(participant));
+    const groups = ids.filter(id => id.endsWith('@g.us'));
+    if (groups.length > 0) {
+      throw new Error(`participants inválido, no se admiten grupos: ${groups.join(', ')}`);
+    }
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Obtiene el chat de un grupo de la sesión
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} groupId - ID del grupo
+   * @returns {Promise<Object>} - { client, chat }
+   */
+  async getGroupChat(sessionId, groupId) {
+    const client = await whatsappService.getConnectedClient(sessionId);
+    const normalizedId = this.normalizeGroupId(groupId);
+
+    let chat = null;
+    try {
+      chat = await client.getChatById(normalizedId);
+    } catch (error) {
+      logger.debug(`No se pudo obtener el grupo ${normalizedId}: ${error.message}`);
+    }
+
+    if (!chat || !chat.isGroup) {
+      throw new Error(`Grupo ${normalizedId} no encontrado en la sesión ${sessionId}`);
+    }
+
+    return { client, chat };
+  }
+
+  /**
+   * Lee la información actual de un grupo, sin caché
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} client - Cliente de WhatsApp
+   * @param {string} groupId - ID del grupo
+   * @returns {Promise<Object>} - Información con el formato de getGroupInfo
+   */
+  async loadGroupInfo(sessionId, client, groupId) {
+    contactsManager.invalidateGroup(sessionId, groupId);
+    const group = await contactsManager.getGroupInfo(sessionId, client, groupId);
+
+    if (!group) {
+      throw new Error(`Grupo ${groupId} no encontrado`);
+    }
+    if (group.error) {
+      throw new Error(`No se pudo leer el grupo ${groupId}: ${group.error}`);
+    }
+    return group;
+  }
+
+  /**
+   * Obtiene la información de un grupo
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} groupId - ID del grupo
+   * @returns {Promise<Object>} - { group }
+   */
+  async getGroup(sessionId, groupId) {
+    const { client, chat } = await this.getGroupChat(sessionId, groupId);
+    return { group: await this.loadGroupInfo(sessionId, client, chat.id._serialized) };
+  }
+
+  /**
+   * Normaliza el resultado por participante de whatsapp-web.js
+   * @param {Array} participantIds - IDs enviados
+   * @param {Object|string} result - Resultado de la operación
+   * @returns {Array} - [{ participantId, success, code, message }]
+   */
+  normalizeParticipantResults(participantIds, result) {
+    // addParticipants devuelve un objeto por participante; el resto, un { status } común
+    if (result && typeof result === 'object' && result.status === undefined) {
+      return participantIds.map(participantId => {
+        const entry = result[participantId] || {};
+        const code = entry.code || entry.statusCode || null;
+        return {
+          participantId,
+          success: code === 200,
+          code,
+          message: entry.message || null,
+          inviteSent: Boolean(entry.isInviteV4Sent)
+        };
+      });
+    }
+
+    const code = result && result.status !== undefined ? result.status : 200;
+    return participantIds.map(participantId => ({
+      participantId,
+      success: code === 200,
+      code,
+      message: null
+    }));
+  }
+
+  /**
+   * Crea un grupo
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} data - { name, participants }
+   * @returns {Promise<Object>} - { group, participants }
+   */
+  async createGroup(sessionId, data = {}) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name || name.length > MAX_SUBJECT_LENGTH) {
+      throw new Error(`name inválido, es requerido y de hasta ${MAX_SUBJECT_LENGTH} caracteres`);
+    }
+
+    const participantIds = this.normalizeParticipants(data.participants);
+    const client = await whatsappService.getConnectedClient(sessionId);
+
+    const result = await client.createGroup(name, participantIds);
+    if (!result || typeof result === 'string') {
+      throw new Error(`No se puede crear el grupo: ${result || 'sin respuesta de WhatsApp'}`);
+    }
+
+    const groupId = result.gid._serialized;
+    whatsappService.updateSessionActivity(sessionId);
+    logger.info(`Grupo ${groupId} creado en sesión ${sessionId}`, { participants: participantIds.length });
+
+    return {
+      group: await this.loadGroupInfo(sessionId, client, groupId),
+      participants: this.normalizeParticipantResults(participantIds, result.participants || {})
+    };
+  }
+
+  /**
+   * Añade, elimina, promueve o degrada participantes
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} groupId - ID del grupo
+   * @param {string} action - add, remove, promote o demote
+   * @param {Array} participants - Números o IDs de contacto
+   * @returns {Promise<Object>} - { group, participants }
+   */
+  async updateParticipants(sessionId, groupId, action, participants) {
+    if (!PARTICIPANT_ACTIONS.includes(action)) {
+      throw new Error(`Acción inválida: ${action}. Permitidas: ${PARTICIPANT_ACTIONS.join(', ')}`);
+    }
+
+    const participantIds = this.normalizeParticipants(participants);
+    const { client, chat } = await this.getGroupChat(sessionId, groupId);
+
+    const result = await chat[PARTICIPANT_METHODS[action]](participantIds);
+    if (typeof result === 'string') {
+      throw new Error(`No se puede completar ${action} en el grupo: ${result}`);
+    }
+
+    whatsappService.updateSessionActivity(sessionId);
+    logger.info(`Participantes actualizados (${action}) en grupo ${chat.id._serialized} de sesión ${sessionId}`, {
+      participants: participantIds.length
+    });
+
+    return {
+      group: await this.loadGroupInfo(sessionId, client, chat.id._serialized),
+      participants: this.normalizeParticipantResults(participantIds, result)
+    };
+  }
+
+  /**
+   * Cambia el asunto y/o la descripción
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} groupId - ID del grupo
+   * @param {Object} data - { subject, description }
+   * @returns {Promise<Object>} - { group }
+   */
+  async updateInfo(sessionId, groupId, data = {}) {
+    const { subject, description } = data;
+
+    if (subject === undefined && description === undefined) {
+      throw new Error('subject o description es requerido');
+    }
+    if (subject !== undefined && (typeof subject !== 'string' || !subject.trim() || subject.length > MAX_SUBJECT_LENGTH)) {
+      throw new Error(`subject inválido, debe tener entre 1 y ${MAX_SUBJECT_LENGTH} caracteres`);
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      throw new Error(`description inválida, debe ser un texto de hasta ${MAX_DESCRIPTION_LENGTH} caracteres`);
+    }
+
+    const { client, chat } = await this.getGroupChat(sessionId, groupId);
+
+    if (subject !== undefined && !(await chat.setSubject(subject.trim()))) {
+      throw new Error('No se puede cambiar el asunto del grupo: la sesión no tiene permisos');
+    }
+    if (description !== undefined && !(await chat.setDescription(description))) {
+      throw new Error('No se puede cambiar la descripción del grupo: la sesión no tiene permisos');
+    }
+
+    whatsappService.updateSessionActivity(sessionId);
+    return { group: await this.loadGroupInfo(sessionId, client, chat.id._serialized) };
+  }
+
+  /**
+   * Cambia la imagen del grupo, o la elimina si media es null
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} groupId - ID del grupo
+   * @param {Object|null} media - MessageMedia construido por whatsappMediaHandler
+   * @returns {Promise<Object>} - { group }
+   */
+  async setPicture(sessionId, groupId, media) {
+    if (media && !media.mimetype.startsWith('image/')) {
+      throw new Error(`Tipo de imagen inválido: ${media.mimetype}`);
+    }
+
+    const { client, chat } = await this.getGroupChat(sessionId, groupId);
+
+    const changed = media ? await chat.setPicture(media) : await chat.deletePicture();
+    if (!changed) {
+      throw new Error('No se puede cambiar la imagen del grupo: la sesión no tiene permisos');
+    }
+
+    whatsappService.updateSessionActivity(sessionId);
+    return { group: await this.loadGroupInfo(sessionId, client, chat.id._serialized) };
+  }
+
+  /**
+   * Cambia los ajustes del grupo
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} groupId - ID del grupo
+   * @param {Object} settings - { announcement, restricted } (solo admins envían / editan la información)
+   * @returns {Promise<Object>} - { group }
+   */
+  async updateSettings(sessionId, groupId, settings = {}) {
+    const { announcement, restricted } = settings;
+
+    if (announcement === undefined && restricted === undefined) {
+      throw new Error('announcement o restricted es requerido');
+    }
+    if ([announcement, restricted].some(value => value !== undefined && typeof value !== 'boolean')) {
+      throw new Error('announcement y restricted inválidos, deben ser booleanos');
+    }
+
+    const { client, chat } = await this.getGroupChat(sessionId, groupId);
+
+    if (announcement !== undefined && !(await chat.setMessagesAdminsOnly(announcement))) {
+      throw new Error('No se puede cambiar quién envía mensajes al grupo: la sesión no tiene permisos');
+    }
+    if (restricted !== undefined && !(await chat.setInfoAdminsOnly(restricted))) {
+      throw new Error('No se puede cambiar quién edita la información del grupo: la sesión no tiene permisos');
+    }
+
+    whatsappService.updateSessionActivity(sessionId);
+    return { group: await this.loadGroupInfo(sessionId, client, chat.id._serialized) };
+  }
+
+  /**
+   * Obtiene el código de invitación actual
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} groupId - ID del grupo
+   * @returns {Promise<Object>} - { group, inviteCode, inviteLink }
+   */
+  async getInviteCode(sessionId, groupId) {
+    const { client, chat } = await this.getGroupChat(sessionId, groupId);
+    const inviteCode = await chat.getInviteCode();
+
+    return {
+      group: await this.loadGroupInfo(sessionId, client, chat.id._serialized),
+      inviteCode,
+      inviteLink: `https://chat.whatsapp.com/${inviteCode}`
+    };
+  }
+
+  /**
+   * Revoca el código de invitación y devuelve el nuevo
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} groupId - ID del grupo
+   * @returns {Promise<Object>} - { group, inviteCode, inviteLink }
+   */
+  async revokeInviteCode(sessionId, groupId) {
+    const { client, chat } = await this.getGroupChat(sessionId, groupId);
+    const inviteCode = await chat.revokeInvite();
+
+    if (!inviteCode || typeof inviteCode !== 'string') {
+      throw new Error('No se puede revocar la invitación del grupo: la sesión no tiene permisos');
+    }
+
+    whatsappService.updateSessionActivity(sessionId);
+    logger.info(`Invitación revocada en grupo ${chat.id._serialized} de sesión ${sessionId}`);
+
+    return {
+      group: await this.loadGroupInfo(sessionId, client, chat.id._serialized),
+      inviteCode,
+      inviteLink: `https://chat.whatsapp.com/${inviteCode}`
+    };
+  }
+
+  /**
+   * Une la sesión a un grupo con un código o enlace de invitación
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} invite - Código o enlace https://chat.whatsapp.com/<código>
+   * @returns {Promise<Object>} - { group }
+   */
+  async acceptInvite(sessionId, invite) {
+    if (!invite || typeof invite !== 'string') {
+      throw new Error('code es requerido (código o enlace de invitación)');
+    }
+
+    const inviteCode = invite.trim().replace(/^https?:\/\/chat\.whatsapp\.com\//, '').split(/[/?#]/)[0];
+    if (!/^[A-Za-z0-9]+$/.test(inviteCode)) {
+      throw new Error('Código de invitación inválido');
+    }
+
+    const client = await whatsappService.getConnectedClient(sessionId);
+    const groupId = await client.acceptInvite(inviteCode);
+    if (!groupId) {
+      throw new Error('No se puede unir al grupo: invitación caducada o revocada');
+    }
+
+    whatsappService.updateSessionActivity(sessionId);
+    logger.info(`Sesión ${sessionId} unida al grupo ${groupId} por invitación`);
+
+    return { group: await this.loadGroupInfo(sessionId, client, typeof groupId === 'string' ? groupId : groupId._serialized) };
+  }
+}
+
+module.exports = new GroupService();
+module.exports.PARTICIPANT_ACTIONS = PARTICIPANT_ACTIONS;
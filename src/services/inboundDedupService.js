@@ -0,0 +1,125 @@
+/**
+ * src/services/inboundDedupService.js
+ * Caché acotada y persistente de mensajes entrantes ya procesados. Evita reenviar al
+ * backend el mismo mensaje cuando whatsapp-web.js emite "message" dos veces
+ * (reconexiones, ecos multi-dispositivo) o cuando la recuperación tras una desconexión
+ * vuelve a traer un mensaje que ya llegó en vivo.
+ */
+
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJson } = require('../utils/fileStore');
+
+// Retraso para agrupar escrituras a disco cuando llegan muchos mensajes seguidos
+const PERSIST_DEBOUNCE_MS = 2000;
+
+class InboundDedupService {
+  constructor() {
+    this.storePath = path.join(config.dataPath, 'seen-messages.json');
+    this.seen = new Map(); // "sessionId:messageId" -> timestamp en que se vio
+    this.persistTimer = null;
+    this.duplicates = 0;
+
+    this.load();
+  }
+
+  load() {
+    const stored = readJson(this.storePath, []);
+    stored.forEach(([key, seenAt]) => this.seen.set(key, seenAt));
+  }
+
+  getKey(sessionId, messageId) {
+    return `${sessionId}:${messageId}`;
+  }
+
+  /**
+   * Marca un mensaje como visto
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} messageId - ID serializado del mensaje
+   * @returns {boolean} - true si es la primera vez, false si es un duplicado
+   */
+  markSeen(sessionId, messageId) {
+    const key = this.getKey(sessionId, messageId);
+
+    if (this.seen.has(key)) {
+      this.duplicates++;
+      return false;
+    }
+
+    this.seen.set(key, Date.now());
+    this.enforceLimit();
+    this.schedulePersist();
+    return true;
+  }
+
+  /**
+   * Olvida un mensaje para que pueda procesarse de nuevo (si su procesamiento falló)
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} messageId - ID serializado del mensaje
+   */
+  forget(sessionId, messageId) {
+    if (this.seen.delete(this.getKey(sessionId, messageId))) {
+      this.schedulePersist();
+    }
+  }
+
+  /**
+   * Descarta las entradas más antiguas al superar el máximo configurado
+   */
+  enforceLimit() {
+    // Map conserva el orden de inserción: la primera clave es la más antigua
+    while (this.seen.size > config.dedup.maxEntries) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, PERSIST_DEBOUNCE_MS);
+  }
+
+  persist() {
+    try {
+      writeJson(this.storePath, Array.from(this.seen.entries()));
+    } catch (error) {
+      logger.error('Error al guardar caché de mensajes vistos:', {
+        errorMessage: error.message
+      });
+    }
+  }
+
+  getStats() {
+    return {
+      entries: this.seen.size,
+      maxEntries: config.dedup.maxEntries,
+      duplicatesDiscarded: this.duplicates
+    };
+  }
+
+  /**
+   * Elimina las entradas de una sesión
+   * @param {string} sessionId - ID de la sesión
+   */
+  clearSession(sessionId) {
+    const prefix = `${sessionId}:`;
+    let removed = 0;
+
+    Array.from(this.seen.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => {
+        this.seen.delete(key);
+        removed++;
+      });
+
+    if (removed > 0) {
+      this.schedulePersist();
+    }
+  }
+}
+
+module.exports = new InboundDedupService();
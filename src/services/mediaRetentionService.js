@@ -0,0 +1,140 @@
+/**
+ * src/services/mediaRetentionService.js
+ * Limpieza programada de medios: caducidad, cuotas por sesión, máximo de disco total
+ * y archivos temporales de media-temp. Guarda un resumen de las últimas ejecuciones
+ * para /api/media/stats y el informe de salud.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const mediaStorageService = require('./mediaStorageService');
+const mediaHandler = require('./whatsappMediaHandler');
+
+// Ejecuciones que se conservan en el historial
+const MAX_RUN_HISTORY = 10;
+
+class MediaRetentionService {
+  constructor() {
+    this.runs = []; // Más reciente primero
+    this.totalRuns = 0;
+    this.lastScheduledAt = null;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Ejecuta una limpieza y programa las siguientes cada MEDIA_CLEANUP_INTERVAL
+   */
+  start() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+    }
+
+    this.lastScheduledAt = Date.now();
+    this.runCleanup();
+
+    this.cleanupTimer = setInterval(() => {
+      this.lastScheduledAt = Date.now();
+      this.runCleanup();
+    }, config.mediaStorage.cleanupInterval);
+    // No mantener vivo el proceso solo por la limpieza
+    this.cleanupTimer.unref();
+
+    logger.info(`Limpieza de medios programada cada ${config.mediaStorage.cleanupInterval} ms`);
+  }
+
+  /**
+   * Detiene la limpieza programada
+   */
+  stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+      logger.info('Limpieza de medios detenida');
+    }
+  }
+
+  /**
+   * Ejecuta una limpieza completa
+   * @returns {Object} - Resumen de la ejecución
+   */
+  runCleanup() {
+    const startedAt = Date.now();
+    const run = {
+      startedAt,
+      durationMs: 0,
+      expired: { files: 0, bytes: 0 },
+      quota: { references: 0, bytes: 0 },
+      diskLimit: { files: 0, bytes: 0 },
+      tempFiles: { files: 0, bytes: 0 },
+      freedBytes: 0,
+      error: null
+    };
+
+    try {
+      if (config.mediaStorage.enabled) {
+        run.expired = mediaStorageService.expireOld();
+        const limits = mediaStorageService.enforceLimits();
+        run.quota = limits.quota;
+        run.diskLimit = limits.diskLimit;
+      }
+
+      run.tempFiles = mediaHandler.cleanupTempFiles(config.mediaStorage.tempMaxAgeMinutes);
+    } catch (error) {
+      run.error = error.message;
+      logger.error('Error en la limpieza de medios:', {
+        errorMessage: error.message
+      });
+    }
+
+    run.freedBytes = run.expired.bytes + run.quota.bytes + run.diskLimit.bytes + run.tempFiles.bytes;
+    run.durationMs = Date.now() - startedAt;
+
+    this.totalRuns++;
+    this.runs.unshift(run);
+    this.runs.length = Math.min(this.runs.length, MAX_RUN_HISTORY);
+
+    if (run.freedBytes > 0) {
+      logger.info(`Limpieza de medios: ${run.freedBytes} bytes liberados`, {
+        expired: run.expired.files,
+        quotaReferences: run.quota.references,
+        diskLimit: run.diskLimit.files,
+        tempFiles: run.tempFiles.files
+      });
+    }
+
+    return run;
+  }
+
+  /**
+   * Resumen para el informe de salud
+   * @returns {Object} - { totalRuns, lastRun, nextRunAt, recentErrors }
+   */
+  getReport() {
+    return {
+      totalRuns: this.totalRuns,
+      lastRun: this.runs[0] || null,
+      nextRunAt: this.cleanupTimer ? this.lastScheduledAt + config.mediaStorage.cleanupInterval : null,
+      recentErrors: this.runs.filter(run => run.error).length
+    };
+  }
+
+  /**
+   * Uso de disco, límites configurados e historial de limpiezas
+   * @returns {Object}
+   */
+  getStats() {
+    const { enabled, ttlHours, maxSessionBytes, maxTotalBytes, cleanupInterval } = config.mediaStorage;
+
+    return {
+      enabled,
+      usage: mediaStorageService.getUsage(),
+      limits: { ttlHours, maxSessionBytes, maxTotalBytes, cleanupInterval },
+      cleanup: {
+        ...this.getReport(),
+        history: this.runs
+      }
+    };
+  }
+}
+
+module.exports = new MediaRetentionService();
@@ -0,0 +1,382 @@
+/**
+ * src/services/mediaStorageService.js
+ * Almacenamiento local de medios recibidos, direccionado por contenido: el ID de cada medio
+ * es el SHA-256 de sus bytes, así que el mismo archivo reenviado a varios chats se guarda una
+ * sola vez. El backend recibe una URL firmada y con caducidad en lugar del base64.
+ * Cada medio recuerda qué sesiones lo usan, para aplicar cuotas por sesión, un máximo
+ * de disco total y la caducidad (MEDIA_TTL_HOURS).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJson, ensureDir } = require('../utils/fileStore');
+
+const MEDIA_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+class MediaStorageService {
+  constructor() {
+    // Ruta absoluta: res.sendFile no acepta rutas relativas (p. ej. MEDIA_STORAGE_PATH=./media)
+    this.baseDir = ensureDir(path.resolve(config.mediaStorage.path));
+    this.signingSecret = this.loadSigningSecret();
+    this.index = new Map(); // mediaId -> metadatos (incluye sessions: sessionId -> último uso)
+
+    // Contadores de uso, al día en store/release/remove para no recorrer el índice en cada medio
+    this.totalBytes = 0;
+    this.sessionUsage = new Map(); // sessionId -> { files, bytes }
+
+    this.loadIndex();
+  }
+
+  /**
+   * Carga en memoria los metadatos de los medios guardados, para calcular el uso sin recorrer el disco
+   */
+  loadIndex() {
+    fs.readdirSync(this.baseDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const dir = path.join(this.baseDir, entry.name);
+        fs.readdirSync(dir)
+          .filter(file => file.endsWith('.json'))
+          .forEach(file => {
+            const meta = readJson(path.join(dir, file), null);
+            if (meta && this.isValidMediaId(meta.mediaId) && fs.existsSync(path.join(dir, meta.mediaId))) {
+              // Medios guardados antes de existir las referencias por sesión
+              meta.sessions = meta.sessions || {};
+              meta.lastUsedAt = meta.lastUsedAt || meta.createdAt;
+              this.index.set(meta.mediaId, meta);
+              this.totalBytes += meta.size;
+              Object.keys(meta.sessions).forEach(sessionId => this.countReference(sessionId, meta.size, 1));
+            }
+          });
+      });
+
+    if (this.index.size > 0) {
+      logger.info(`Almacenamiento de medios: ${this.index.size} archivos indexados`);
+    }
+  }
+
+  /**
+   * Suma o resta una referencia de sesión en los contadores de uso
+   * @param {string} sessionId - ID de la sesión
+   * @param {number} size - Tamaño del medio
+   * @param {number} sign - 1 al añadir la referencia, -1 al quitarla
+   */
+  countReference(sessionId, size, sign) {
+    const usage = this.sessionUsage.get(sessionId) || { files: 0, bytes: 0 };
+    usage.files += sign;
+    usage.bytes += sign * size;
+
+    if (usage.files > 0) {
+      this.sessionUsage.set(sessionId, usage);
+    } else {
+      this.sessionUsage.delete(sessionId);
+    }
+  }
+
+  /**
+   * Secreto para firmar las URLs. Sin MEDIA_SIGNING_SECRET se genera uno y se guarda
+   * junto a los medios, para que las URLs ya enviadas sigan valiendo tras un reinicio
+   * @returns {string}
+   */
+  loadSigningSecret() {
+    if (config.mediaStorage.signingSecret) {
+      return config.mediaStorage.signingSecret;
+    }
+
+    const secretPath = path.join(this.baseDir, 'signing-secret.json');
+    const stored = readJson(secretPath, null);
+    if (stored && stored.secret) {
+      return stored.secret;
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    writeJson(secretPath, { secret, createdAt: Date.now() });
+    logger.warn('MEDIA_SIGNING_SECRET no configurado: se generó un secreto para firmar URLs de medios');
+    return secret;
+  }
+
+  isValidMediaId(mediaId) {
+    return typeof mediaId === 'string' && MEDIA_ID_PATTERN.test(mediaId);
+  }
+
+  /**
+   * Rutas del contenido y los metadatos (repartidos en subcarpetas por los dos primeros caracteres)
+   * @param {string} mediaId - SHA-256 del contenido
+   * @returns {Object} - { dir, filePath, metaPath }
+   */
+  getPaths(mediaId) {
+    if (!this.isValidMediaId(mediaId)) {
+      throw new Error(`mediaId inválido: ${mediaId}`);
+    }
+
+    const dir = path.join(this.baseDir, mediaId.slice(0, 2));
+    return {
+      dir,
+      filePath: path.join(dir, mediaId),
+      metaPath: path.join(dir, `${mediaId}.json`)
+    };
+  }
+
+  /**
+   * Guarda un medio si no existía ya y lo asocia a la sesión que lo recibió
+   * @param {Buffer} buffer - Contenido
+   * @param {Object} info - { mimeType, filename, sessionId }
+   * @returns {Object} - Metadatos { mediaId, mimeType, filename, size, createdAt, lastUsedAt, sessions }
+   */
+  store(buffer, info = {}) {
+    const mediaId = crypto.createHash('sha256').update(buffer).digest('hex');
+    const { dir, filePath, metaPath } = this.getPaths(mediaId);
+    const now = Date.now();
+
+    let meta = this.index.get(mediaId);
+    if (!meta || !fs.existsSync(filePath)) {
+      ensureDir(dir);
+
+      // Escritura atómica: nunca se sirve un archivo a medio escribir
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, buffer);
+      fs.renameSync(tempPath, filePath);
+
+      meta = {
+        mediaId,
+        mimeType: info.mimeType || 'application/octet-stream',
+        filename: info.filename || mediaId,
+        size: buffer.length,
+        createdAt: now,
+        lastUsedAt: now,
+        sessions: {}
+      };
+      this.index.set(mediaId, meta);
+      this.totalBytes += meta.size;
+      logger.debug(`Medio ${mediaId} guardado (${buffer.length} bytes)`);
+    }
+
+    meta.lastUsedAt = now;
+    if (info.sessionId) {
+      if (!meta.sessions[info.sessionId]) {
+        this.countReference(info.sessionId, meta.size, 1);
+      }
+      meta.sessions[info.sessionId] = now;
+    }
+    writeJson(metaPath, meta);
+
+    // Un medio nuevo puede dejar a la sesión o al disco por encima de su límite
+    this.enforceLimits(mediaId);
+
+    return meta;
+  }
+
+  /**
+   * Obtiene los metadatos y la ruta de un medio guardado
+   * @param {string} mediaId - ID del medio
+   * @returns {Object|null} - { ...metadatos, filePath } o null si no existe
+   */
+  get(mediaId) {
+    const { filePath } = this.getPaths(mediaId);
+    const meta = this.index.get(mediaId);
+
+    if (!meta || !fs.existsSync(filePath)) {
+      return null;
+    }
+    return { ...meta, filePath };
+  }
+
+  /**
+   * Borra un medio del disco y del índice
+   * @param {string} mediaId - ID del medio
+   * @returns {number} - Bytes liberados
+   */
+  remove(mediaId) {
+    const meta = this.index.get(mediaId);
+    if (!meta) return 0;
+
+    const { filePath, metaPath } = this.getPaths(mediaId);
+    fs.rmSync(filePath, { force: true });
+    fs.rmSync(metaPath, { force: true });
+    this.index.delete(mediaId);
+
+    this.totalBytes -= meta.size;
+    Object.keys(meta.sessions).forEach(sessionId => this.countReference(sessionId, meta.size, -1));
+
+    return meta.size;
+  }
+
+  /**
+   * Quita la referencia de una sesión a un medio; si ninguna otra lo usa, lo borra
+   * @param {string} mediaId - ID del medio
+   * @param {string} sessionId - ID de la sesión
+   * @returns {number} - Bytes liberados en disco
+   */
+  release(mediaId, sessionId) {
+    const meta = this.index.get(mediaId);
+    if (!meta || !meta.sessions[sessionId]) return 0;
+
+    delete meta.sessions[sessionId];
+    this.countReference(sessionId, meta.size, -1);
+    if (Object.keys(meta.sessions).length === 0) {
+      return this.remove(mediaId);
+    }
+
+    writeJson(this.getPaths(mediaId).metaPath, meta);
+    return 0;
+  }
+
+  /**
+   * Uso de disco total y por sesión. Un medio compartido cuenta completo en cada sesión que lo usa
+   * @returns {Object} - { files, totalBytes, sessions: { sessionId: { files, bytes } } }
+   */
+  getUsage() {
+    const sessions = {};
+    this.sessionUsage.forEach((usage, sessionId) => {
+      sessions[sessionId] = { ...usage };
+    });
+
+    return { files: this.index.size, totalBytes: this.totalBytes, sessions };
+  }
+
+  /**
+   * Borra los medios sin uso durante más de MEDIA_TTL_HOURS
+   * @returns {Object} - { files, bytes } eliminados
+   */
+  expireOld() {
+    const oldestKept = Date.now() - config.mediaStorage.ttlHours * 60 * 60 * 1000;
+    const result = { files: 0, bytes: 0 };
+
+    Array.from(this.index.values())
+      .filter(meta => meta.lastUsedAt < oldestKept)
+      .forEach(meta => {
+        result.bytes += this.remove(meta.mediaId);
+        result.files++;
+      });
+
+    return result;
+  }
+
+  /**
+   * Aplica la cuota por sesión (quitando sus referencias más antiguas) y el máximo de
+   * disco total (borrando los medios usados hace más tiempo). Solo recorre el índice
+   * cuando los contadores indican que se superó algún límite
+   * @param {string} keepMediaId - Medio recién guardado, que no se descarta aunque supere el límite
+   * @returns {Object} - { quota: { references, bytes }, diskLimit: { files, bytes } }
+   */
+  enforceLimits(keepMediaId = null) {
+    const { maxSessionBytes, maxTotalBytes } = config.mediaStorage;
+    const result = { quota: { references: 0, bytes: 0 }, diskLimit: { files: 0, bytes: 0 } };
+
+    Array.from(this.sessionUsage.entries())
+      .filter(([, sessionUsage]) => sessionUsage.bytes > maxSessionBytes)
+      .forEach(([sessionId]) => {
+        const references = Array.from(this.index.values())
+          .filter(meta => meta.sessions[sessionId] && meta.mediaId !== keepMediaId)
+          .sort((a, b) => a.sessions[sessionId] - b.sessions[sessionId]);
+
+        let released = 0;
+        for (const meta of references) {
+          if ((this.sessionUsage.get(sessionId)?.bytes || 0) <= maxSessionBytes) break;
+          result.quota.bytes += this.release(meta.mediaId, sessionId);
+          released++;
+        }
+
+        result.quota.references += released;
+        logger.info(`Cuota de medios superada en sesión ${sessionId}: liberadas ${released} referencias`);
+      });
+
+    if (this.totalBytes > maxTotalBytes) {
+      const oldest = Array.from(this.index.values())
+        .filter(meta => meta.mediaId !== keepMediaId)
+        .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+      for (const meta of oldest) {
+        if (this.totalBytes <= maxTotalBytes) break;
+        const freed = this.remove(meta.mediaId);
+        result.diskLimit.bytes += freed;
+        result.diskLimit.files++;
+      }
+
+      logger.info(`Máximo de disco para medios superado: eliminados ${result.diskLimit.files} archivos`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Quita todas las referencias de una sesión (al eliminarla)
+   * @param {string} sessionId - ID de la sesión
+   */
+  clearSession(sessionId) {
+    Array.from(this.index.values())
+      .filter(meta => meta.sessions[sessionId])
+      .forEach(meta => this.release(meta.mediaId, sessionId));
+  }
+
+  sign(mediaId, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${mediaId}.${expires}`).digest('hex');
+  }
+
+  /**
+   * Crea una URL de descarga firmada
+   * @param {string} mediaId - ID del medio
+   * @param {number} ttlSeconds - Validez en segundos (por defecto MEDIA_URL_TTL)
+   * @returns {Object} - { url, expiresAt } con expiresAt en segundos unix
+   */
+  createSignedUrl(mediaId, ttlSeconds = config.mediaStorage.urlTtl) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const baseUrl = config.mediaStorage.publicUrl.replace(/\/+$/, '');
+    const query = new URLSearchParams({ expires: String(expiresAt), signature: this.sign(mediaId, expiresAt) });
+
+    return {
+      url: `${baseUrl}/api/media/${mediaId}?${query}`,
+      expiresAt
+    };
+  }
+
+  /**
+   * Copia de los metadatos de un medio con una URL firmada recién creada. Las URLs se firman
+   * al enviar (o devolver) el medio, nunca al guardarlo, para que un reintento tardío no
+   * llegue con una URL ya caducada
+   * @param {Object} media - Metadatos con mediaId
+   * @returns {Object} - Metadatos con url y urlExpiresAt, o los mismos si no hay mediaId
+   */
+  withSignedUrl(media) {
+    if (!media || !media.mediaId) {
+      return media;
+    }
+
+    const { url, expiresAt } = this.createSignedUrl(media.mediaId);
+    return { ...media, url, urlExpiresAt: expiresAt };
+  }
+
+  /**
+   * Verifica la firma y la caducidad de una URL de descarga
+   * @param {string} mediaId - ID del medio
+   * @param {string} expires - Parámetro expires de la URL
+   * @param {string} signature - Parámetro signature de la URL
+   * @returns {Object} - { valid, reason }
+   */
+  verifySignedUrl(mediaId, expires, signature) {
+    if (!this.isValidMediaId(mediaId)) {
+      return { valid: false, reason: 'invalid_media_id' };
+    }
+
+    const expiresAt = parseInt(expires, 10);
+    if (!signature || isNaN(expiresAt)) {
+      return { valid: false, reason: 'missing_signature' };
+    }
+
+    if (expiresAt < Math.floor(Date.now() / 1000)) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    const expected = Buffer.from(this.sign(mediaId, expiresAt));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { valid: false, reason: 'invalid_signature' };
+    }
+
+    return { valid: true, reason: null };
+  }
+}
+
+module.exports = new MediaStorageService();
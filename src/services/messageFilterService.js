@@ -0,0 +1,338 @@
+/**
+ * src/services/messageFilterService.js
+ * Reglas de filtrado de mensajes por sesión (include/exclude). Las sesiones sin reglas
+ * propias siguen usando los filtros globales de config.messageFilters.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { RE2 } = require('re2-wasm');
+const { readJson, writeJson } = require('../utils/fileStore');
+const LruCache = require('../utils/lruCache');
+const sessionRegistry = require('./sessionRegistry');
+
+const FILTER_ACTIONS = ['include', 'exclude'];
+const CHAT_TYPES = ['private', 'group', 'broadcast'];
+
+// Criterios que admiten una lista de valores (basta con que coincida uno)
+const LIST_CRITERIA = ['chatTypes', 'chatIds', 'senders', 'messageTypes', 'keywords'];
+const BOOLEAN_CRITERIA = ['hasMedia', 'fromMe'];
+
+const MAX_RULES_PER_SESSION = 50;
+const MAX_REGEX_LENGTH = 200;
+
+// Patrones compilados que se conservan en memoria
+const MAX_COMPILED_REGEXES = 500;
+
+/**
+ * Compila la regex de una regla con RE2, que evalúa en tiempo lineal: un patrón como
+ * (a|a)*$ no puede bloquear el event loop. RE2 no admite referencias hacia atrás ni
+ * lookarounds, que se rechazan como regex inválidas
+ * @param {string} pattern - Expresión regular
+ * @returns {RE2} - Regex compilada, sin distinguir mayúsculas
+ */
+function compileRegex(pattern) {
+  return new RE2(pattern, 'iu');
+}
+
+class MessageFilterService {
+  constructor() {
+    this.storePath = path.join(config.dataPath, 'message-filters.json');
+    this.rules = new Map(); // sessionId -> Array de reglas
+    this.compiled = new LruCache({ maxEntries: MAX_COMPILED_REGEXES, ttlMs: Infinity }); // patrón -> RE2
+
+    this.load();
+  }
+
+  load() {
+    const stored = readJson(this.storePath, {});
+    Object.entries(stored).forEach(([sessionId, rules]) => {
+      // Reglas guardadas antes de usar RE2 cuya regex ya no compila: se desactivan
+      rules
+        .filter(rule => rule.enabled && rule.match?.regex)
+        .forEach(rule => {
+          try {
+            compileRegex(rule.match.regex);
+          } catch (error) {
+            rule.enabled = false;
+            logger.warn(`Regla ${rule.id} de sesión ${sessionId} desactivada: regex no admitida (${error.message})`);
+          }
+        });
+      this.rules.set(sessionId, rules);
+    });
+
+    if (this.rules.size > 0) {
+      logger.info(`Reglas de filtrado cargadas para ${this.rules.size} sesiones`);
+    }
+  }
+
+  persist() {
+    try {
+      writeJson(this.storePath, Object.fromEntries(this.rules));
+    } catch (error) {
+      logger.error('Error al guardar reglas de filtrado:', {
+        errorMessage: error.message
+      });
+    }
+  }
+
+  /**
+   * Valida y normaliza una regla recibida por la API
+   * @param {Object} rule - { id, action, description, enabled, match }
+   * @returns {Object} - Regla normalizada
+   */
+  normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('Regla de filtrado inválida');
+    }
+
+    if (!FILTER_ACTIONS.includes(rule.action)) {
+      throw new Error(`action inválida: ${rule.action}. Permitidas: ${FILTER_ACTIONS.join(', ')}`);
+    }
+
+    const source = rule.match || {};
+    if (typeof source !== 'object' || Array.isArray(source)) {
+      throw new Error('match inválido, debe ser un objeto de criterios');
+    }
+
+    const match = {};
+
+    LIST_CRITERIA.forEach(criterion => {
+      if (source[criterion] === undefined) return;
+
+      const values = Array.isArray(source[criterion]) ? source[criterion] : [source[criterion]];
+      if (values.length === 0 || values.some(value => typeof value !== 'string' || value === '')) {
+        throw new Error(`${criterion} inválido, debe ser un texto o una lista de textos`);
+      }
+      match[criterion] = [...new Set(values)];
+    });
+
+    if (match.chatTypes) {
+      const unknown = match.chatTypes.filter(type => !CHAT_TYPES.includes(type));
+      if (unknown.length > 0) {
+        throw new Error(`chatTypes inválidos: ${unknown.join(', ')}. Permitidos: ${CHAT_TYPES.join(', ')}`);
+      }
+    }
+
+    BOOLEAN_CRITERIA.forEach(criterion => {
+      if (source[criterion] === undefined) return;
+
+      if (typeof source[criterion] !== 'boolean') {
+        throw new Error(`${criterion} inválido, debe ser booleano`);
+      }
+      match[criterion] = source[criterion];
+    });
+
+    if (source.regex !== undefined) {
+      if (typeof source.regex !== 'string' || source.regex.length === 0 || source.regex.length > MAX_REGEX_LENGTH) {
+        throw new Error(`regex inválida, debe ser un texto de hasta ${MAX_REGEX_LENGTH} caracteres`);
+      }
+      try {
+        compileRegex(source.regex);
+      } catch (error) {
+        throw new Error(`regex inválida: ${error.message}`);
+      }
+      match.regex = source.regex;
+    }
+
+    if (Object.keys(match).length === 0) {
+      throw new Error('match inválido, la regla necesita al menos un criterio');
+    }
+
+    return {
+      id: rule.id || crypto.randomUUID(),
+      action: rule.action,
+      description: typeof rule.description === 'string' ? rule.description : null,
+      enabled: rule.enabled !== false,
+      match
+    };
+  }
+
+  /**
+   * Reemplaza las reglas de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @param {Array} rules - Reglas nuevas
+   * @returns {Array} - Reglas guardadas
+   */
+  setSessionRules(sessionId, rules) {
+    if (!sessionRegistry.get(sessionId)) {
+      throw new Error(`Sesión ${sessionId} no encontrada`);
+    }
+
+    const normalized = this.normalizeRules(rules);
+
+    if (normalized.length === 0) {
+      this.rules.delete(sessionId);
+    } else {
+      this.rules.set(sessionId, normalized);
+    }
+    this.persist();
+
+    logger.info(`Reglas de filtrado actualizadas para sesión ${sessionId}: ${normalized.length} reglas`);
+    return normalized;
+  }
+
+  normalizeRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('rules inválido, debe ser una lista de reglas');
+    }
+
+    if (rules.length > MAX_RULES_PER_SESSION) {
+      throw new Error(`Cantidad de reglas inválida, máximo ${MAX_RULES_PER_SESSION} por sesión`);
+    }
+
+    return rules.map(rule => this.normalizeRule(rule));
+  }
+
+  getSessionRules(sessionId) {
+    return this.rules.get(sessionId) || [];
+  }
+
+  hasOwnRules(sessionId) {
+    return this.rules.has(sessionId);
+  }
+
+  /**
+   * Extrae los campos que usan las reglas de un mensaje de whatsapp-web.js
+   * @param {Object} message - Mensaje de whatsapp-web.js
+   * @returns {Object} - { chatId, chatType, sender, type, body, hasMedia, fromMe }
+   */
+  toFilterInput(message) {
+    const chatId = message.fromMe ? message.to : message.from;
+    return {
+      chatId,
+      chatType: this.getChatType(chatId, message.isStatus),
+      sender: message.author || message.from,
+      type: message.type,
+      body: message.body || '',
+      hasMedia: Boolean(message.hasMedia),
+      fromMe: Boolean(message.fromMe),
+      isStatus: Boolean(message.isStatus)
+    };
+  }
+
+  getChatType(chatId, isStatus = false) {
+    if (isStatus || chatId === 'status@broadcast' || chatId.endsWith('@broadcast')) return 'broadcast';
+    if (chatId.endsWith('@g.us')) return 'group';
+    return 'private';
+  }
+
+  /**
+   * Comprueba si un mensaje cumple todos los criterios de una regla
+   * @param {Object} rule - Regla normalizada
+   * @param {Object} input - Campos del mensaje (ver toFilterInput)
+   * @returns {boolean}
+   */
+  matchesRule(rule, input) {
+    const { match } = rule;
+    const body = (input.body || '').toLowerCase();
+
+    if (match.chatTypes && !match.chatTypes.includes(input.chatType)) return false;
+    if (match.chatIds && !match.chatIds.includes(input.chatId)) return false;
+    if (match.senders && !match.senders.includes(input.sender)) return false;
+    if (match.messageTypes && !match.messageTypes.includes(input.type)) return false;
+    if (match.keywords && !match.keywords.some(keyword => body.includes(keyword.toLowerCase()))) return false;
+    if (match.hasMedia !== undefined && match.hasMedia !== Boolean(input.hasMedia)) return false;
+    if (match.fromMe !== undefined && match.fromMe !== Boolean(input.fromMe)) return false;
+
+    if (match.regex) {
+      let regex = this.compiled.get(match.regex);
+      if (!regex) {
+        regex = compileRegex(match.regex);
+        this.compiled.set(match.regex, regex);
+      }
+      if (!regex.test(input.body || '')) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Evalúa un mensaje contra una lista de reglas: cualquier exclude que coincida lo descarta;
+   * si hay reglas include, al menos una tiene que coincidir
+   * @param {Array} rules - Reglas normalizadas
+   * @param {Object} input - Campos del mensaje
+   * @returns {Object} - { allowed, reason, ruleId }
+   */
+  evaluateRules(rules, input) {
+    const enabled = rules.filter(rule => rule.enabled);
+
+    const excluded = enabled.find(rule => rule.action === 'exclude' && this.matchesRule(rule, input));
+    if (excluded) {
+      return { allowed: false, reason: 'excluded', ruleId: excluded.id };
+    }
+
+    const includes = enabled.filter(rule => rule.action === 'include');
+    if (includes.length === 0) {
+      return { allowed: true, reason: 'no_include_rules', ruleId: null };
+    }
+
+    const included = includes.find(rule => this.matchesRule(rule, input));
+    if (!included) {
+      return { allowed: false, reason: 'no_include_match', ruleId: null };
+    }
+
+    return { allowed: true, reason: 'included', ruleId: included.id };
+  }
+
+  /**
+   * Filtros globales de config.messageFilters, para sesiones sin reglas propias
+   * @param {Object} input - Campos del mensaje
+   * @returns {Object} - { allowed, reason, ruleId }
+   */
+  evaluateLegacy(input) {
+    const filters = config.messageFilters;
+    // Mismas comprobaciones que antes de existir las reglas: solo status@broadcast cuenta como
+    // difusión y todo lo que no es grupo (difusiones incluidas) cae en ignoreNonGroups
+    const isGroup = input.chatId.endsWith('@g.us');
+    const isBroadcast = input.chatId === 'status@broadcast' || Boolean(input.isStatus);
+    const deny = (reason) => ({ allowed: false, reason, ruleId: null });
+
+    if (isBroadcast && filters.ignoreBroadcast) return deny('ignore_broadcast');
+    if (isGroup && filters.ignoreGroups) return deny('ignore_groups');
+    if (!isGroup && filters.ignoreNonGroups) return deny('ignore_non_groups');
+
+    if (isGroup && filters.allowedGroups.length > 0 && !filters.allowedGroups.includes(input.chatId)) {
+      return deny('group_not_allowed');
+    }
+
+    const sender = isGroup ? input.sender : input.chatId;
+    if (filters.allowedContacts.length > 0 && !filters.allowedContacts.includes(sender)) {
+      return deny('contact_not_allowed');
+    }
+
+    return { allowed: true, reason: 'global_filters', ruleId: null };
+  }
+
+  /**
+   * Decide si un mensaje de una sesión debe procesarse
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} input - Campos del mensaje (ver toFilterInput)
+   * @returns {Object} - { allowed, reason, ruleId, source }
+   */
+  evaluate(sessionId, input) {
+    if (!this.hasOwnRules(sessionId)) {
+      return { ...this.evaluateLegacy(input), source: 'global' };
+    }
+    return { ...this.evaluateRules(this.getSessionRules(sessionId), input), source: 'session' };
+  }
+
+  /**
+   * Elimina las reglas de una sesión (vuelve a los filtros globales)
+   * @param {string} sessionId - ID de la sesión
+   * @returns {boolean} - true si había reglas
+   */
+  clearSession(sessionId) {
+    const existed = this.rules.delete(sessionId);
+    if (existed) {
+      this.persist();
+    }
+    return existed;
+  }
+}
+
+module.exports = new MessageFilterService();
+module.exports.FILTER_ACTIONS = FILTER_ACTIONS;
+module.exports.CHAT_TYPES = CHAT_TYPES;
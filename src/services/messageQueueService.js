@@ -0,0 +1,675 @@
+/**
+ * src/services/messageQueueService.js
+ * Cola persistente de mensajes salientes por sesión con ritmo de envío anti-ban
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MessageMedia } = require('whatsapp-web.js');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { readJson, writeJson, ensureDir } = require('../utils/fileStore');
+const whatsappService = require('./whatsappService');
+const sessionRegistry = require('./sessionRegistry');
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// IDs de sesión admitidos (también son el nombre del archivo de la cola)
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Tiempo de espera antes de volver a revisar una sesión desconectada
+const DISCONNECTED_RECHECK_MS = 15000;
+
+// Estados en los que un trabajo ya no se va a procesar
+const FINAL_STATUSES = [JOB_STATUS.SENT, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class MessageQueueService {
+  constructor() {
+    this.queuesDir = ensureDir(path.join(config.dataPath, 'queues'));
+    this.mediaDir = ensureDir(path.join(this.queuesDir, 'media'));
+    this.queues = new Map(); // sessionId -> Array de trabajos
+    this.timers = new Map(); // sessionId -> timeout del próximo procesamiento
+    this.processing = new Set(); // sesiones con un envío en curso
+    this.sendHistory = new Map(); // sessionId -> timestamps de envíos del último minuto
+    this.nextAllowedSend = new Map(); // sessionId -> timestamp mínimo del próximo envío
+    this.waiters = new Map(); // jobId -> callbacks a avisar cuando el trabajo finaliza
+    this.waiters = new Map(); // jobId -> callbacks a avisar cuando el trabajo termina
+
+    this.loadQueues();
+  }
+
+  /**
+   * Carga las colas guardadas en disco y reanuda los envíos pendientes
+   */
+  loadQueues() {
+    const files = fs.readdirSync(this.queuesDir).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const sessionId = file.replace(/\.json$/, '');
+      const jobs = readJson(path.join(this.queuesDir, file), []);
+
+      // Un trabajo "sending" al reiniciar no sabemos si llegó a enviarse; se reintenta
+      let interrupted = 0;
+      jobs.forEach(job => {
+        if (job.status === JOB_STATUS.SENDING) {
+          job.status = JOB_STATUS.PENDING;
+          interrupted++;
+        }
+      });
+
+      if (interrupted > 0) {
+        logger.warn(`${interrupted} mensajes interrumpidos en sesión ${sessionId} se reintentarán (posible duplicado)`);
+      }
+
+      this.queues.set(sessionId, jobs);
+
+      if (jobs.some(job => job.status === JOB_STATUS.PENDING)) {
+        this.scheduleProcessing(sessionId, DISCONNECTED_RECHECK_MS);
+      }
+    }
+
+    if (files.length > 0) {
+      logger.info(`Colas de salida cargadas desde disco: ${files.length} sesiones`);
+    }
+  }
+
+  /**
+   * Guarda la cola de una sesión en disco
+   * @param {string} sessionId - ID de la sesión
+   */
+  persist(sessionId) {
+    try {
+      writeJson(path.join(this.queuesDir, `${sessionId}.json`), this.getQueue(sessionId));
+    } catch (error) {
+      logger.error(`Error al guardar cola de salida de sesión ${sessionId}:`, {
+        errorMessage: error.message
+      });
+    }
+  }
+
+  /**
+   * Trabajos de la cola de una sesión, sin crearla si no existe
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Array}
+   */
+  getQueue(sessionId) {
+    return this.queues.get(sessionId) || [];
+  }
+
+  /**
+   * Obtiene la cola de una sesión para añadir trabajos, creándola si hace falta
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Array}
+   */
+  ensureQueue(sessionId) {
+    this.validateSessionId(sessionId);
+
+    if (!this.queues.has(sessionId)) {
+      this.queues.set(sessionId, []);
+    }
+    return this.queues.get(sessionId);
+  }
+
+  /**
+   * Comprueba que el ID de sesión se puede usar como nombre del archivo de la cola
+   * @param {string} sessionId - ID de la sesión
+   */
+  validateSessionId(sessionId) {
+    if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`sessionId inválido: ${sessionId}`);
+    }
+  }
+
+  /**
+   * Comprueba que la sesión existe (cliente activo, registro guardado o cola en disco)
+   * @param {string} sessionId - ID de la sesión
+   */
+  assertSession(sessionId) {
+    const exists = this.queues.has(sessionId) ||
+      whatsappService.clients.has(sessionId) ||
+      Boolean(sessionRegistry.get(sessionId));
+
+    if (!exists) {
+      throw new Error(`Sesión ${sessionId} no encontrada`);
+    }
+  }
+
+  /**
+   * Encola un mensaje de texto
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat destino
+   * @param {string} text - Texto del mensaje
+   * @param {Object} options - Opciones de envío (quotedMessageId, mentions, linkPreview)
+   * @returns {Object} - Trabajo encolado
+   */
+  enqueueText(sessionId, chatId, text, options = {}) {
+    return this.enqueue(sessionId, {
+      type: 'text',
+      chatId: whatsappService.normalizeChatId(chatId),
+      text,
+      options
+    });
+  }
+
+  /**
+   * Encola un medio. El contenido se guarda en disco aparte para no inflar el JSON de la cola
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat destino
+   * @param {Object} media - MessageMedia construido por whatsappMediaHandler
+   * @param {Object} options - { type, caption, quotedMessageId }
+   * @returns {Object} - Trabajo encolado
+   */
+  enqueueMedia(sessionId, chatId, media, options = {}) {
+    // Validar antes de escribir el medio en disco para no dejar archivos huérfanos
+    const targetChatId = whatsappService.normalizeChatId(chatId);
+    this.validateSessionId(sessionId);
+
+    const jobId = crypto.randomUUID();
+    const mediaFile = `${jobId}.bin`;
+    fs.writeFileSync(path.join(this.mediaDir, mediaFile), Buffer.from(media.data, 'base64'));
+
+    return this.enqueue(sessionId, {
+      id: jobId,
+      type: 'media',
+      chatId: targetChatId,
+      media: {
+        mimetype: media.mimetype,
+        filename: media.filename,
+        filesize: media.filesize,
+        file: mediaFile
+      },
+      options
+    });
+  }
+
+  enqueue(sessionId, jobData) {
+    const now = Date.now();
+    const job = {
+      id: jobData.id || crypto.randomUUID(),
+      sessionId,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+      ...jobData
+    };
+
+    const queue = this.ensureQueue(sessionId);
+    queue.push(job);
+    this.persist(sessionId);
+
+    logger.info(`Mensaje ${job.id} encolado para ${job.chatId} en sesión ${sessionId}`, {
+      type: job.type,
+      pending: this.countByStatus(sessionId)[JOB_STATUS.PENDING]
+    });
+
+    this.scheduleProcessing(sessionId, 0);
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Programa el procesamiento de la cola de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @param {number} delayMs - Retraso antes de procesar
+   */
+  scheduleProcessing(sessionId, delayMs = 0) {
+    if (this.timers.has(sessionId)) {
+      clearTimeout(this.timers.get(sessionId));
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(sessionId);
+      this.processQueue(sessionId).catch(error => {
+        logger.error(`Error al procesar cola de sesión ${sessionId}:`, {
+          errorMessage: error.message,
+          stack: error.stack
+        });
+      });
+    }, Math.max(0, delayMs));
+
+    this.timers.set(sessionId, timer);
+  }
+
+  /**
+   * Envía el siguiente mensaje pendiente respetando el límite por minuto y los retrasos aleatorios
+   * @param {string} sessionId - ID de la sesión
+   */
+  async processQueue(sessionId) {
+    if (this.processing.has(sessionId)) return;
+
+    const now = Date.now();
+    const pendingJobs = this.getQueue(sessionId)
+      .filter(job => job.status === JOB_STATUS.PENDING)
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    if (pendingJobs.length === 0) return;
+
+    const job = pendingJobs.find(pending => pending.nextAttemptAt <= now);
+    if (!job) {
+      const nextAttemptAt = Math.min(...pendingJobs.map(pending => pending.nextAttemptAt));
+      this.scheduleProcessing(sessionId, nextAttemptAt - now);
+      return;
+    }
+
+    const sessionStatus = await whatsappService.getSessionStatus(sessionId);
+    if (!sessionStatus.isConnected) {
+      logger.debug(`Sesión ${sessionId} no conectada, cola en espera (${pendingJobs.length} pendientes)`);
+      this.scheduleProcessing(sessionId, DISCONNECTED_RECHECK_MS);
+      return;
+    }
+
+    const waitMs = this.getRequiredWait(sessionId, now);
+    if (waitMs > 0) {
+      this.scheduleProcessing(sessionId, waitMs);
+      return;
+    }
+
+    this.processing.add(sessionId);
+    job.status = JOB_STATUS.SENDING;
+    job.attempts += 1;
+    job.updatedAt = Date.now();
+    this.persist(sessionId);
+
+    try {
+      await this.simulateTyping(sessionId, job);
+      const result = await this.sendJob(sessionId, job);
+
+      job.status = JOB_STATUS.SENT;
+      job.sentAt = Date.now();
+      job.result = result;
+      delete job.lastError;
+      this.recordSend(sessionId, job.sentAt);
+      this.removeMediaFile(job);
+
+      logger.info(`Mensaje ${job.id} de la cola enviado en sesión ${sessionId}`, {
+        messageId: result.messageId,
+        attempts: job.attempts
+      });
+    } catch (error) {
+      this.handleSendError(sessionId, job, error);
+    } finally {
+      job.updatedAt = Date.now();
+      this.notifyWaiters(job);
+      this.pruneHistory(sessionId);
+      this.persist(sessionId);
+      this.processing.delete(sessionId);
+      this.scheduleProcessing(sessionId, 0);
+    }
+  }
+
+  /**
+   * Espera a que un trabajo termine (enviado, fallido o cancelado) o a que pase el tiempo límite
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} jobId - ID del trabajo
+   * @param {number} timeoutMs - Tiempo máximo de espera
+   * @returns {Promise<Object>} - Trabajo en su estado final, o en el actual si se agotó la espera
+   */
+  waitForJob(sessionId, jobId, timeoutMs = config.sessionLimits.syncSendTimeoutMs) {
+    const job = this.getQueue(sessionId).find(item => item.id === jobId);
+    if (!job || FINAL_STATUSES.includes(job.status)) {
+      return Promise.resolve(job ? this.toPublicJob(job) : null);
+    }
+
+    return new Promise(resolve => {
+      const callbacks = this.waiters.get(jobId) || new Set();
+
+      const timer = setTimeout(() => {
+        callbacks.delete(onFinish);
+        if (callbacks.size === 0) this.waiters.delete(jobId);
+        resolve(this.toPublicJob(job));
+      }, timeoutMs);
+
+      const onFinish = (publicJob) => {
+        clearTimeout(timer);
+        resolve(publicJob);
+      };
+
+      callbacks.add(onFinish);
+      this.waiters.set(jobId, callbacks);
+    });
+  }
+
+  /**
+   * Avisa a las peticiones que esperan un trabajo cuando este finaliza
+   * @param {Object} job - Trabajo de la cola
+   */
+  notifyWaiters(job) {
+    if (!FINAL_STATUSES.includes(job.status)) return;
+
+    const callbacks = this.waiters.get(job.id);
+    if (!callbacks) return;
+
+    this.waiters.delete(job.id);
+    const publicJob = this.toPublicJob(job);
+    callbacks.forEach(callback => callback(publicJob));
+  }
+
+  /**
+   * Calcula cuánto esperar antes del próximo envío según el límite por minuto y el retraso aleatorio
+   * @param {string} sessionId - ID de la sesión
+   * @param {number} now - Timestamp actual
+   * @returns {number} - Milisegundos de espera (0 si se puede enviar ya)
+   */
+  getRequiredWait(sessionId, now) {
+    const limits = config.sessionLimits;
+    const history = (this.sendHistory.get(sessionId) || []).filter(ts => now - ts < 60000);
+    this.sendHistory.set(sessionId, history);
+
+    if (history.length >= limits.messagesPerMinute) {
+      return history[0] + 60000 - now;
+    }
+
+    const nextAllowedAt = this.nextAllowedSend.get(sessionId) || 0;
+    return Math.max(0, nextAllowedAt - now);
+  }
+
+  /**
+   * Registra un envío y fija un retraso aleatorio antes del siguiente para imitar a una persona
+   * @param {string} sessionId - ID de la sesión
+   * @param {number} timestamp - Momento del envío
+   */
+  recordSend(sessionId, timestamp) {
+    const limits = config.sessionLimits;
+    const history = this.sendHistory.get(sessionId) || [];
+    history.push(timestamp);
+    this.sendHistory.set(sessionId, history);
+
+    const humanDelay = limits.minSendDelayMs +
+      Math.random() * (limits.maxSendDelayMs - limits.minSendDelayMs);
+    this.nextAllowedSend.set(sessionId, Math.round(timestamp + humanDelay));
+  }
+
+  /**
+   * Muestra "escribiendo..." (o "grabando..." para notas de voz) antes de enviar
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} job - Trabajo a enviar
+   */
+  async simulateTyping(sessionId, job) {
+    const limits = config.sessionLimits;
+    if (!limits.simulateTyping) return;
+
+    try {
+      const client = await whatsappService.getConnectedClient(sessionId);
+      const chat = await client.getChatById(job.chatId);
+      const isVoice = job.type === 'media' && ['ptt', 'voice'].includes(job.options?.type);
+      const textLength = job.type === 'text' ? job.text.length : (job.options?.caption || '').length;
+      const typingMs = Math.min(limits.maxTypingMs, Math.max(1000, textLength * limits.typingMsPerChar));
+
+      if (isVoice) {
+        await chat.sendStateRecording();
+      } else {
+        await chat.sendStateTyping();
+      }
+
+      await sleep(typingMs);
+      await chat.clearState();
+    } catch (error) {
+      // La simulación es cosmética, un fallo no debe impedir el envío
+      logger.debug(`No se pudo simular escritura para ${job.chatId} en sesión ${sessionId}: ${error.message}`);
+    }
+  }
+
+  async sendJob(sessionId, job) {
+    if (job.type === 'text') {
+      return whatsappService.sendTextMessage(sessionId, job.chatId, job.text, job.options);
+    }
+
+    const mediaPath = path.join(this.mediaDir, job.media.file);
+    if (!fs.existsSync(mediaPath)) {
+      throw new Error(`Archivo de medio del mensaje ${job.id} no encontrado`);
+    }
+
+    const media = new MessageMedia(
+      job.media.mimetype,
+      fs.readFileSync(mediaPath).toString('base64'),
+      job.media.filename,
+      job.media.filesize
+    );
+
+    return whatsappService.sendMediaMessage(sessionId, job.chatId, media, job.options);
+  }
+
+  handleSendError(sessionId, job, error) {
+    job.lastError = error.message;
+
+    // Una desconexión no cuenta como intento fallido: se espera a que vuelva la sesión
+    if (error.message.includes('no está conectado') || error.message.includes('no encontrada')) {
+      job.status = JOB_STATUS.PENDING;
+      job.attempts = Math.max(0, job.attempts - 1);
+      job.nextAttemptAt = Date.now() + DISCONNECTED_RECHECK_MS;
+      logger.warn(`Mensaje ${job.id} en espera: sesión ${sessionId} no disponible`);
+      return;
+    }
+
+    if (job.attempts >= config.sessionLimits.maxSendAttempts) {
+      job.status = JOB_STATUS.FAILED;
+      logger.error(`Mensaje ${job.id} marcado como fallido en sesión ${sessionId} tras ${job.attempts} intentos`, {
+        errorMessage: error.message
+      });
+      return;
+    }
+
+    const retryDelay = config.sessionLimits.sendRetryDelayMs * Math.pow(2, job.attempts - 1);
+    job.status = JOB_STATUS.PENDING;
+    job.nextAttemptAt = Date.now() + retryDelay;
+
+    logger.warn(`Error al enviar mensaje ${job.id} en sesión ${sessionId}, reintento en ${retryDelay}ms`, {
+      errorMessage: error.message,
+      attempts: job.attempts
+    });
+  }
+
+  /**
+   * Conserva solo los últimos trabajos finalizados (enviados, fallidos o cancelados)
+   * para no crecer indefinidamente
+   * @param {string} sessionId - ID de la sesión
+   */
+  pruneHistory(sessionId) {
+    const queue = this.getQueue(sessionId);
+    const finished = queue.filter(job =>
+      [JOB_STATUS.SENT, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status)
+    );
+    const excess = finished.length - config.sessionLimits.queueHistoryLimit;
+
+    if (excess <= 0) return;
+
+    const removed = finished
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .slice(0, excess);
+
+    // Los fallidos conservan su medio para poder reintentarse; al descartarlos se borra
+    removed.forEach(job => this.removeMediaFile(job));
+    const toRemove = new Set(removed.map(job => job.id));
+
+    this.queues.set(sessionId, queue.filter(job => !toRemove.has(job.id)));
+  }
+
+  removeMediaFile(job) {
+    if (job.type !== 'media' || !job.media?.file) return;
+
+    const mediaPath = path.join(this.mediaDir, job.media.file);
+    try {
+      if (fs.existsSync(mediaPath)) {
+        fs.unlinkSync(mediaPath);
+      }
+    } catch (error) {
+      logger.warn(`No se pudo eliminar medio del mensaje ${job.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lista los trabajos de la cola de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} filters - { status }
+   * @returns {Object} - Trabajos y conteos por estado
+   */
+  listJobs(sessionId, filters = {}) {
+    this.assertSession(sessionId);
+
+    let jobs = this.getQueue(sessionId);
+    if (filters.status) {
+      jobs = jobs.filter(job => job.status === filters.status);
+    }
+
+    return {
+      sessionId,
+      counts: this.countByStatus(sessionId),
+      jobs: jobs
+        .slice()
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(job => this.toPublicJob(job)),
+      rateLimit: {
+        messagesPerMinute: config.sessionLimits.messagesPerMinute,
+        sentLastMinute: (this.sendHistory.get(sessionId) || []).filter(ts => Date.now() - ts < 60000).length
+      }
+    };
+  }
+
+  getJob(sessionId, jobId) {
+    this.assertSession(sessionId);
+    const job = this.getQueue(sessionId).find(item => item.id === jobId);
+    return job ? this.toPublicJob(job) : null;
+  }
+
+  /**
+   * Cancela un trabajo pendiente o fallido
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} jobId - ID del trabajo
+   * @returns {Object} - Trabajo actualizado
+   */
+  cancelJob(sessionId, jobId) {
+    this.assertSession(sessionId);
+    const job = this.getQueue(sessionId).find(item => item.id === jobId);
+    if (!job) {
+      throw new Error(`Mensaje ${jobId} no encontrado en la cola de la sesión ${sessionId}`);
+    }
+
+    if (![JOB_STATUS.PENDING, JOB_STATUS.FAILED].includes(job.status)) {
+      throw new Error(`No se puede cancelar un mensaje en estado ${job.status}`);
+    }
+
+    job.status = JOB_STATUS.CANCELLED;
+    job.updatedAt = Date.now();
+    this.removeMediaFile(job);
+    this.persist(sessionId);
+    this.notifyWaiters(job);
+
+    logger.info(`Mensaje ${jobId} cancelado en sesión ${sessionId}`);
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Reintenta un trabajo fallido
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} jobId - ID del trabajo
+   * @returns {Object} - Trabajo actualizado
+   */
+  retryJob(sessionId, jobId) {
+    this.assertSession(sessionId);
+    const job = this.getQueue(sessionId).find(item => item.id === jobId);
+    if (!job) {
+      throw new Error(`Mensaje ${jobId} no encontrado en la cola de la sesión ${sessionId}`);
+    }
+
+    if (job.status !== JOB_STATUS.FAILED) {
+      throw new Error(`Solo se pueden reintentar mensajes fallidos (estado actual: ${job.status})`);
+    }
+
+    job.status = JOB_STATUS.PENDING;
+    job.attempts = 0;
+    job.nextAttemptAt = Date.now();
+    job.updatedAt = Date.now();
+    this.persist(sessionId);
+    this.scheduleProcessing(sessionId, 0);
+
+    logger.info(`Mensaje ${jobId} reencolado en sesión ${sessionId}`);
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Elimina la cola de una sesión (al eliminar la sesión)
+   * @param {string} sessionId - ID de la sesión
+   */
+  clearSession(sessionId) {
+    if (this.timers.has(sessionId)) {
+      clearTimeout(this.timers.get(sessionId));
+      this.timers.delete(sessionId);
+    }
+
+    this.getQueue(sessionId).forEach(job => {
+      this.removeMediaFile(job);
+      if (!FINAL_STATUSES.includes(job.status)) {
+        job.status = JOB_STATUS.CANCELLED;
+        job.updatedAt = Date.now();
+      }
+      this.notifyWaiters(job);
+    });
+    this.queues.delete(sessionId);
+    this.sendHistory.delete(sessionId);
+    this.nextAllowedSend.delete(sessionId);
+
+    const queuePath = path.join(this.queuesDir, `${sessionId}.json`);
+    if (fs.existsSync(queuePath)) {
+      fs.unlinkSync(queuePath);
+    }
+
+    logger.info(`Cola de salida eliminada para sesión ${sessionId}`);
+  }
+
+  countByStatus(sessionId) {
+    const counts = Object.values(JOB_STATUS).reduce((acc, status) => {
+      acc[status] = 0;
+      return acc;
+    }, {});
+
+    this.getQueue(sessionId).forEach(job => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+
+    return counts;
+  }
+
+  toPublicJob(job) {
+    const publicJob = {
+      id: job.id,
+      sessionId: job.sessionId,
+      chatId: job.chatId,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      nextAttemptAt: job.status === JOB_STATUS.PENDING ? job.nextAttemptAt : null,
+      sentAt: job.sentAt || null,
+      result: job.result || null,
+      lastError: job.lastError || null
+    };
+
+    if (job.type === 'text') {
+      publicJob.text = job.text;
+    } else if (job.media) {
+      publicJob.media = {
+        mimetype: job.media.mimetype,
+        filename: job.media.filename,
+        filesize: job.media.filesize,
+        type: job.options?.type || null,
+        caption: job.options?.caption || null
+      };
+    }
+
+    return publicJob;
+  }
+}
+
+module.exports = new MessageQueueService();
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -0,0 +1,182 @@
+/**
+ * src/services/messageStatusService.js
+ * Seguimiento de estados de entrega/lectura (ack) de mensajes salientes por sesión
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { readJson, writeJson, ensureDir } = require('../utils/fileStore');
+
+// Valores de ack de whatsapp-web.js
+const ACK_NAMES = {
+  '-1': 'error',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+
+// Retraso para agrupar escrituras a disco cuando llegan muchos acks seguidos
+const PERSIST_DEBOUNCE_MS = 2000;
+
+class MessageStatusService {
+  constructor() {
+    this.statusDir = ensureDir(path.join(config.dataPath, 'message-status'));
+    this.statuses = new Map(); // sessionId -> Map(messageId -> registro)
+    this.persistTimers = new Map(); // sessionId -> timeout de escritura pendiente
+  }
+
+  getAckName(ack) {
+    return ACK_NAMES[ack] || 'unknown';
+  }
+
+  /**
+   * Obtiene (cargando de disco si hace falta) los estados de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Map} - messageId -> registro
+   */
+  getSessionStatuses(sessionId) {
+    if (!this.statuses.has(sessionId)) {
+      const stored = readJson(path.join(this.statusDir, `${sessionId}.json`), []);
+      this.statuses.set(sessionId, new Map(stored.map(record => [record.messageId, record])));
+    }
+    return this.statuses.get(sessionId);
+  }
+
+  /**
+   * Registra un mensaje saliente para seguir su estado
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} data - { messageId, chatId, ack, timestamp, source }
+   * @returns {Object} - Registro creado
+   */
+  trackOutbound(sessionId, data) {
+    const statuses = this.getSessionStatuses(sessionId);
+    const now = Date.now();
+    const ack = typeof data.ack === 'number' ? data.ack : 0;
+
+    const record = {
+      messageId: data.messageId,
+      sessionId,
+      chatId: data.chatId,
+      source: data.source || 'api',
+      ack,
+      status: this.getAckName(ack),
+      sentAt: data.timestamp ? data.timestamp * 1000 : now,
+      updatedAt: now,
+      history: [{ ack, status: this.getAckName(ack), at: now }]
+    };
+
+    statuses.set(record.messageId, record);
+    this.enforceLimit(sessionId);
+    this.schedulePersist(sessionId);
+
+    return record;
+  }
+
+  /**
+   * Actualiza el ack de un mensaje saliente
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} data - { messageId, chatId, ack }
+   * @returns {Object|null} - Registro actualizado, o null si el ack no supone un avance
+   */
+  updateAck(sessionId, data) {
+    const statuses = this.getSessionStatuses(sessionId);
+    let record = statuses.get(data.messageId);
+
+    // Mensajes enviados desde el teléfono: se empiezan a seguir con su primer ack
+    if (!record) {
+      record = this.trackOutbound(sessionId, {
+        messageId: data.messageId,
+        chatId: data.chatId,
+        ack: data.ack,
+        source: 'device'
+      });
+      return record;
+    }
+
+    // Los acks solo avanzan; ignorar eventos repetidos o desordenados (salvo error)
+    if (data.ack !== -1 && data.ack <= record.ack) {
+      return null;
+    }
+
+    const now = Date.now();
+    record.ack = data.ack;
+    record.status = this.getAckName(data.ack);
+    record.updatedAt = now;
+    record.history.push({ ack: data.ack, status: record.status, at: now });
+
+    this.schedulePersist(sessionId);
+    return record;
+  }
+
+  /**
+   * Obtiene el estado conocido de un mensaje
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} messageId - ID serializado del mensaje
+   * @returns {Object|null} - Registro o null si no se sigue
+   */
+  getStatus(sessionId, messageId) {
+    return this.getSessionStatuses(sessionId).get(messageId) || null;
+  }
+
+  /**
+   * Descarta los registros más antiguos al superar el máximo por sesión
+   * @param {string} sessionId - ID de la sesión
+   */
+  enforceLimit(sessionId) {
+    const statuses = this.getSessionStatuses(sessionId);
+    const excess = statuses.size - config.messageStatus.maxTrackedPerSession;
+
+    if (excess <= 0) return;
+
+    // Map conserva el orden de inserción: los primeros son los más antiguos
+    const oldest = Array.from(statuses.keys()).slice(0, excess);
+    oldest.forEach(messageId => statuses.delete(messageId));
+  }
+
+  schedulePersist(sessionId) {
+    if (this.persistTimers.has(sessionId)) return;
+
+    const timer = setTimeout(() => {
+      this.persistTimers.delete(sessionId);
+      this.persist(sessionId);
+    }, PERSIST_DEBOUNCE_MS);
+
+    this.persistTimers.set(sessionId, timer);
+  }
+
+  persist(sessionId) {
+    try {
+      const records = Array.from(this.getSessionStatuses(sessionId).values());
+      writeJson(path.join(this.statusDir, `${sessionId}.json`), records);
+    } catch (error) {
+      logger.error(`Error al guardar estados de mensajes de sesión ${sessionId}:`, {
+        errorMessage: error.message
+      });
+    }
+  }
+
+  /**
+   * Elimina los estados guardados de una sesión
+   * @param {string} sessionId - ID de la sesión
+   */
+  clearSession(sessionId) {
+    if (this.persistTimers.has(sessionId)) {
+      clearTimeout(this.persistTimers.get(sessionId));
+      this.persistTimers.delete(sessionId);
+    }
+
+    this.statuses.delete(sessionId);
+
+    const statusPath = path.join(this.statusDir, `${sessionId}.json`);
+    if (fs.existsSync(statusPath)) {
+      fs.unlinkSync(statusPath);
+    }
+  }
+}
+
+module.exports = new MessageStatusService();
+module.exports.ACK_NAMES = ACK_NAMES;
@@ -0,0 +1,447 @@
+/**
+ * src/services/messageStoreService.js
+ * Historial local de mensajes entrantes y salientes por sesión, con búsqueda.
+ * Se guarda en SQLite (data/messages.db) con índices por sesión, chat y fecha, y un índice
+ * FTS5 sobre el texto. Las escrituras se agrupan y se aplican fuera del ciclo del mensaje.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const LEGACY_DAY_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000; // 1 hora
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS messages (
+    session_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    chat_id TEXT,
+    direction TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    search_text TEXT NOT NULL,
+    record TEXT NOT NULL,
+    PRIMARY KEY (session_id, id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_messages_session_time ON messages (session_id, timestamp, id);
+  CREATE INDEX IF NOT EXISTS idx_messages_chat_time ON messages (session_id, chat_id, timestamp, id);
+  CREATE INDEX IF NOT EXISTS idx_messages_time ON messages (timestamp);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    search_text,
+    content='messages',
+    content_rowid='rowid',
+    tokenize='unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS messages_ai AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, search_text) VALUES (new.rowid, new.search_text);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS messages_ad AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, search_text) VALUES ('delete', old.rowid, old.search_text);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS messages_au AFTER UPDATE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, search_text) VALUES ('delete', old.rowid, old.search_text);
+    INSERT INTO messages_fts (rowid, search_text) VALUES (new.rowid, new.search_text);
+  END;
+`;
+
+/**
+ * Normaliza texto para la búsqueda: minúsculas y sin acentos
+ * @param {string} text - Texto original
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Convierte el texto buscado en una consulta FTS5: cada palabra debe aparecer,
+ * como palabra completa o como comienzo de una
+ * @param {string} q - Texto buscado
+ * @returns {string|null} - Consulta MATCH o null si no hay palabras
+ */
+const buildMatchQuery = (q) => {
+  const terms = normalizeText(q).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return null;
+  }
+  return terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' ');
+};
+
+class MessageStoreService {
+  constructor() {
+    this.dbPath = path.join(config.dataPath, 'messages.db');
+    this.legacyDir = path.join(config.dataPath, 'messages');
+    this.pendingWrites = []; // registros a la espera del próximo volcado
+    this.flushScheduled = false;
+    this.retentionTimer = null;
+    this.db = null;
+
+    if (config.messageStore.enabled) {
+      this.openDatabase();
+      this.importLegacyFiles();
+    }
+  }
+
+  openDatabase() {
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      upsert: this.db.prepare(`
+        INSERT INTO messages (session_id, id, chat_id, direction, timestamp, search_text, record)
+        VALUES (@sessionId, @id, @chatId, @direction, @timestamp, @searchText, @record)
+        ON CONFLICT (session_id, id) DO UPDATE SET
+          chat_id = excluded.chat_id,
+          direction = excluded.direction,
+          timestamp = excluded.timestamp,
+          search_text = excluded.search_text,
+          record = excluded.record
+      `),
+      deleteSession: this.db.prepare('DELETE FROM messages WHERE session_id = ?'),
+      deleteOlderThan: this.db.prepare('DELETE FROM messages WHERE timestamp < ?')
+    };
+
+    this.insertBatch = this.db.transaction((records) => {
+      records.forEach(record => this.statements.upsert.run(this.toRow(record)));
+    });
+  }
+
+  /**
+   * Programa la retención del historial. Lo llama server.js al arrancar
+   */
+  start() {
+    if (!this.db) return;
+
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+    }
+
+    this.applyRetention();
+    this.retentionTimer = setInterval(() => this.applyRetention(), RETENTION_INTERVAL_MS);
+    // No mantener vivo el proceso solo por la retención
+    this.retentionTimer.unref();
+  }
+
+  /**
+   * Detiene la retención y vuelca las escrituras pendientes
+   */
+  stop() {
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+      this.retentionTimer = null;
+    }
+
+    this.flushWrites();
+  }
+
+  validateSessionId(sessionId) {
+    if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`sessionId inválido: ${sessionId}`);
+    }
+  }
+
+  /**
+   * Guarda un mensaje en el historial. La escritura en la base de datos se hace en el
+   * siguiente volcado, junto con los demás mensajes recibidos en el mismo ciclo
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} data - Mensaje con el formato de handleMessage (id, from, to, body, timestamp...)
+   * @param {string} direction - inbound u outbound
+   * @returns {Object|null} - Registro guardado o null si el historial está desactivado
+   */
+  record(sessionId, data, direction) {
+    if (!this.db) {
+      return null;
+    }
+
+    try {
+      this.validateSessionId(sessionId);
+
+      const timestamp = data.timestamp || Math.floor(Date.now() / 1000);
+      const record = {
+        id: data.id,
+        sessionId,
+        chatId: data.chatId || (direction === 'outbound' ? data.to : data.from),
+        direction,
+        from: data.from || null,
+        to: data.to || null,
+        author: data.author || null,
+        body: data.body || '',
+        type: data.type || 'chat',
+        timestamp,
+        hasMedia: Boolean(data.hasMedia),
+        isGroupMessage: Boolean(data.isGroupMessage),
+        contactName: data.contactName || null,
+        groupName: data.groupName || null,
+        authorName: data.authorName || null,
+        storedAt: Date.now()
+      };
+
+      // Del medio solo se guardan los metadatos (y su mediaId), nunca el contenido ni la URL firmada, que caduca
+      if (data.media) {
+        const { data: mediaContent, url, urlExpiresAt, ...mediaInfo } = data.media;
+        record.media = mediaInfo;
+      }
+
+      this.pendingWrites.push(record);
+      this.scheduleFlush();
+
+      return record;
+    } catch (error) {
+      logger.error(`Error al guardar mensaje en el historial de sesión ${sessionId}:`, {
+        errorMessage: error.message,
+        messageId: data?.id
+      });
+      return null;
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushScheduled) return;
+
+    this.flushScheduled = true;
+    setImmediate(() => this.flushWrites());
+  }
+
+  /**
+   * Escribe en una sola transacción los mensajes pendientes
+   */
+  flushWrites() {
+    this.flushScheduled = false;
+    if (!this.db || this.pendingWrites.length === 0) return;
+
+    const records = this.pendingWrites;
+    this.pendingWrites = [];
+
+    try {
+      this.insertBatch(records);
+    } catch (error) {
+      logger.error('Error al escribir mensajes en el historial:', {
+        errorMessage: error.message,
+        count: records.length
+      });
+    }
+  }
+
+  toRow(record) {
+    return {
+      sessionId: record.sessionId,
+      id: record.id,
+      chatId: record.chatId || null,
+      direction: record.direction,
+      timestamp: record.timestamp,
+      searchText: normalizeText([record.body, record.contactName, record.groupName, record.authorName, record.media?.filename].join(' ')),
+      record: JSON.stringify(record)
+    };
+  }
+
+  /**
+   * Importa el historial de la versión anterior (un JSONL por sesión y día) y borra los archivos
+   */
+  importLegacyFiles() {
+    if (!fs.existsSync(this.legacyDir)) return;
+
+    try {
+      let imported = 0;
+
+      fs.readdirSync(this.legacyDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && SESSION_ID_PATTERN.test(entry.name))
+        .forEach(entry => {
+          const dir = path.join(this.legacyDir, entry.name);
+          fs.readdirSync(dir)
+            .filter(file => LEGACY_DAY_FILE_PATTERN.test(file))
+            .forEach(file => {
+              const records = [];
+              fs.readFileSync(path.join(dir, file), 'utf8').split('\n').forEach(line => {
+                if (!line) return;
+                try {
+                  records.push(JSON.parse(line));
+                } catch (error) {
+                  // Línea a medio escribir si el proceso se detuvo durante un append
+                }
+              });
+
+              this.insertBatch(records.filter(record => record.id && record.sessionId === entry.name));
+              imported += records.length;
+            });
+        });
+
+      fs.rmSync(this.legacyDir, { recursive: true, force: true });
+      logger.info(`Historial de mensajes: ${imported} mensajes importados de ${this.legacyDir}`);
+    } catch (error) {
+      logger.error('Error al importar el historial de mensajes anterior:', {
+        errorMessage: error.message
+      });
+    }
+  }
+
+  /**
+   * Convierte un parámetro de fecha (ISO, segundos o milisegundos unix) a milisegundos
+   * @param {string} value - Valor recibido
+   * @param {string} name - Nombre del parámetro (para el error)
+   * @returns {number|null}
+   */
+  parseDate(value, name) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (/^\d+$/.test(String(value))) {
+      const number = parseInt(value, 10);
+      return number < 1e12 ? number * 1000 : number;
+    }
+
+    const parsed = Date.parse(value);
+    if (isNaN(parsed)) {
+      throw new Error(`Parámetro ${name} inválido, usa una fecha ISO o un timestamp unix`);
+    }
+    return parsed;
+  }
+
+  encodeCursor(record) {
+    return Buffer.from(JSON.stringify({ t: record.timestamp, id: record.id })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof decoded.t !== 'number' || typeof decoded.id !== 'string') {
+        throw new Error('formato');
+      }
+      return decoded;
+    } catch (error) {
+      throw new Error('Cursor inválido');
+    }
+  }
+
+  /**
+   * Busca mensajes en el historial de una sesión, del más reciente al más antiguo
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} params - { chatId, from, to, q, direction, limit, cursor }
+   * @returns {Object} - { messages, nextCursor, hasMore }
+   */
+  search(sessionId, params = {}) {
+    this.validateSessionId(sessionId);
+    const fromMs = this.parseDate(params.from, 'from');
+    const toMs = this.parseDate(params.to, 'to');
+    const cursor = params.cursor ? this.decodeCursor(params.cursor) : null;
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const matchQuery = params.q ? buildMatchQuery(params.q) : null;
+
+    if (params.direction && !['inbound', 'outbound'].includes(params.direction)) {
+      throw new Error('Parámetro direction inválido, usa inbound u outbound');
+    }
+
+    if (!this.db) {
+      return { messages: [], nextCursor: null, hasMore: false };
+    }
+
+    // Lo recién recibido también tiene que aparecer en la búsqueda
+    this.flushWrites();
+
+    const conditions = ['m.session_id = @sessionId'];
+    const values = { sessionId, limit: limit + 1 };
+
+    if (params.chatId) {
+      conditions.push('m.chat_id = @chatId');
+      values.chatId = params.chatId;
+    }
+    if (params.direction) {
+      conditions.push('m.direction = @direction');
+      values.direction = params.direction;
+    }
+    // El timestamp se guarda en segundos
+    if (fromMs !== null) {
+      conditions.push('m.timestamp >= @fromSec');
+      values.fromSec = Math.ceil(fromMs / 1000);
+    }
+    if (toMs !== null) {
+      conditions.push('m.timestamp <= @toSec');
+      values.toSec = Math.floor(toMs / 1000);
+    }
+    if (cursor) {
+      conditions.push('(m.timestamp < @cursorTimestamp OR (m.timestamp = @cursorTimestamp AND m.id < @cursorId))');
+      values.cursorTimestamp = cursor.t;
+      values.cursorId = cursor.id;
+    }
+    if (matchQuery) {
+      conditions.push('m.rowid IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH @matchQuery)');
+      values.matchQuery = matchQuery;
+    }
+
+    // Se lee un resultado extra para saber si hay más páginas
+    const rows = this.db.prepare(`
+      SELECT m.record FROM messages m
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY m.timestamp DESC, m.id DESC
+      LIMIT @limit
+    `).all(values);
+
+    const results = rows.map(row => JSON.parse(row.record));
+    const messages = results.slice(0, limit);
+    const hasMore = results.length > limit;
+
+    return {
+      messages,
+      nextCursor: hasMore ? this.encodeCursor(messages[messages.length - 1]) : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Borra los mensajes fuera del periodo de retención
+   * @returns {number} - Mensajes eliminados
+   */
+  applyRetention() {
+    if (!this.db) return 0;
+
+    const retentionDays = config.statistics.retentionDays;
+    const oldestKept = Math.floor((Date.now() - retentionDays * 24 * 60 * 60 * 1000) / 1000);
+
+    try {
+      this.flushWrites();
+      const { changes } = this.statements.deleteOlderThan.run(oldestKept);
+
+      if (changes > 0) {
+        logger.info(`Historial de mensajes: ${changes} mensajes de más de ${retentionDays} días eliminados`);
+      }
+      return changes;
+    } catch (error) {
+      logger.error('Error al aplicar retención del historial de mensajes:', {
+        errorMessage: error.message
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Elimina todo el historial de una sesión
+   * @param {string} sessionId - ID de la sesión
+   */
+  clearSession(sessionId) {
+    if (!this.db) return;
+
+    try {
+      this.pendingWrites = this.pendingWrites.filter(record => record.sessionId !== sessionId);
+      this.statements.deleteSession.run(sessionId);
+    } catch (error) {
+      logger.error(`Error al eliminar historial de sesión ${sessionId}:`, {
+        errorMessage: error.message
+      });
+    }
+  }
+}
+
+module.exports = new MessageStoreService();
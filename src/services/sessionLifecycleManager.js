@@ -1,7 +1,12 @@
 // src/services/sessionLifecycleManager.js - Nuevo servicio para gestión avanzada de sesiones
 
+const path = require('path');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { readJson, writeJson } = require('../utils/fileStore');
+
+// Tenant de las sesiones creadas sin API key de tenant (o anteriores a la propiedad por tenant)
+const DEFAULT_TENANT = 'default-user';
 
 class SessionLifecycleManager {
   constructor(whatsappService) {
@@ -9,11 +14,122 @@ class SessionLifecycleManager {
     this.cleanupInterval = null;
     this.sessionLimits = new Map(); // sessionId -> { createdAt, userId, etc }
     this.userSessions = new Map(); // userId -> Set(sessionIds)
+    this.reservations = new Map(); // sessionId -> userId, sesiones en creación que ya ocupan cupo
+    this.ownersPath = path.join(config.dataPath, 'session-owners.json');
+    
+    // Recuperar la propiedad de las sesiones tras un reinicio
+    this.loadOwners();
     
     // Iniciar limpieza automática cada 2 horas
     this.startAutomaticCleanup();
   }
 
+  /**
+   * Carga desde disco qué tenant es dueño de cada sesión
+   */
+  loadOwners() {
+    const stored = readJson(this.ownersPath, {});
+    
+    Object.entries(stored).forEach(([sessionId, info]) => {
+      this.sessionLimits.set(sessionId, info);
+      
+      if (!this.userSessions.has(info.userId)) {
+        this.userSessions.set(info.userId, new Set());
+      }
+      this.userSessions.get(info.userId).add(sessionId);
+    });
+    
+    if (this.sessionLimits.size > 0) {
+      logger.info(`Propiedad de ${this.sessionLimits.size} sesiones cargada para ${this.userSessions.size} tenants`);
+    }
+  }
+
+  persistOwners() {
+    try {
+      writeJson(this.ownersPath, Object.fromEntries(this.sessionLimits));
+    } catch (error) {
+      logger.error('Error al guardar propiedad de sesiones:', {
+        errorMessage: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene el máximo de sesiones de un tenant (override de TENANT_SESSION_LIMITS o MAX_SESSIONS_PER_USER)
+   * @param {string} userId - ID del tenant
+   * @returns {number} - Máximo de sesiones
+   */
+  getTenantSessionLimit(userId) {
+    const overrides = config.sessionLimits.tenantOverrides || {};
+    return overrides[userId] !== undefined ? overrides[userId] : config.sessionLimits.maxPerUser;
+  }
+
+  /**
+   * Obtiene el tenant dueño de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @returns {string|null} - Tenant, DEFAULT_TENANT para sesiones cargadas sin dueño registrado,
+   *                          o null si la sesión no existe
+   */
+  getSessionOwner(sessionId) {
+    const sessionInfo = this.sessionLimits.get(sessionId);
+    if (sessionInfo) {
+      return sessionInfo.userId;
+    }
+    return this.whatsappService.clients.has(sessionId) ? DEFAULT_TENANT : null;
+  }
+
+  /**
+   * Obtiene las sesiones registradas de un tenant
+   * @param {string} userId - ID del tenant
+   * @returns {Array} - IDs de sesión
+   */
+  getTenantSessions(userId) {
+    return Array.from(this.userSessions.get(userId) || []);
+  }
+
+  /**
+   * Sesiones en creación de un tenant que todavía no tienen dueño registrado
+   * @param {string} userId - ID del tenant
+   * @returns {number}
+   */
+  countTenantReservations(userId) {
+    let count = 0;
+    this.reservations.forEach((owner, sessionId) => {
+      if (owner === userId && !this.sessionLimits.has(sessionId)) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Reserva el cupo de una sesión nueva antes de inicializarla, para que dos creaciones
+   * simultáneas no superen el máximo del tenant. Se libera con releaseReservation
+   * @param {string} userId - ID del tenant (null para claves de plataforma o sin autenticación)
+   * @param {string} sessionId - ID de la sesión
+   * @returns {boolean} - false si el tenant ya no tiene cupo o la sesión se está creando para otro tenant
+   */
+  reserveSession(userId, sessionId) {
+    if (!userId || this.getSessionOwner(sessionId) === userId) {
+      return true;
+    }
+
+    const reservedBy = this.reservations.get(sessionId);
+    if (reservedBy) {
+      return reservedBy === userId;
+    }
+
+    const used = this.getTenantSessions(userId).length + this.countTenantReservations(userId);
+    if (used >= this.getTenantSessionLimit(userId)) {
+      return false;
+    }
+
+    this.reservations.set(sessionId, userId);
+    return true;
+  }
+
+  releaseReservation(sessionId) {
+    this.reservations.delete(sessionId);
+  }
+
   /**
    * Inicia el proceso de limpieza automática
    */
@@ -49,58 +165,79 @@ class SessionLifecycleManager {
   }
 
   /**
-   * Valida si un usuario puede crear una nueva sesión
-   * @param {string} userId - ID del usuario (opcional, usar sessionId si no hay autenticación)
+   * Valida si un tenant puede crear una nueva sesión
+   * @param {string} userId - ID del tenant. Sin tenant (claves de plataforma o sin autenticación)
+   *                          no hay cupo por tenant, solo el máximo del sistema
    * @param {string} sessionId - ID de la sesión a crear
    * @returns {Object} - Resultado de la validación
    */
   async validateSessionCreation(userId = null, sessionId) {
-    const maxSessionsPerUser = 3;
-    const userKey = userId || 'default-user';
+    if (!userId) {
+      return this.validateSystemLimit({ tenantQuota: false });
+    }
+
+    const userKey = userId;
+    const maxSessionsPerUser = this.getTenantSessionLimit(userKey);
     
-    // Obtener sesiones activas del usuario
-    const userSessions = this.userSessions.get(userKey) || new Set();
-    const activeSessions = [];
+    // Reinicializar una sesión propia no consume cupo; una ajena no se puede tomar
+    const owner = this.getSessionOwner(sessionId) || this.reservations.get(sessionId);
+    if (owner && owner !== userKey) {
+      return {
+        allowed: false,
+        reason: 'session_owned_by_other_tenant',
+        sessionId
+      };
+    }
+    
+    const userSessions = this.getTenantSessions(userKey);
+    if (owner === userKey) {
+      return {
+        allowed: true,
+        existingSession: true,
+        currentUserSessions: userSessions.length,
+        maxUserSessions: maxSessionsPerUser
+      };
+    }
     
-    // Verificar cuáles sesiones siguen activas
-    for (const sessionId of userSessions) {
+    // Las sesiones cuentan hasta que se eliminan, aunque estén desconectadas
+    const activeSessions = [];
+    for (const ownedSessionId of userSessions) {
       try {
-        const status = await this.whatsappService.getSessionStatus(sessionId);
-        if (status.exists) {
-          activeSessions.push({
-            sessionId,
-            isConnected: status.isConnected,
-            isListening: status.isListening
-          });
-        } else {
-          // Sesión no existe, remover del tracking
-          userSessions.delete(sessionId);
-        }
+        const status = await this.whatsappService.getSessionStatus(ownedSessionId);
+        activeSessions.push({
+          sessionId: ownedSessionId,
+          isConnected: status.isConnected,
+          isListening: status.isListening
+        });
       } catch (error) {
-        // En caso de error, asumir que la sesión no existe
-        userSessions.delete(sessionId);
+        activeSessions.push({ sessionId: ownedSessionId, isConnected: false, isListening: false });
       }
     }
     
-    // Actualizar el mapa de usuarios
-    if (userSessions.size === 0) {
-      this.userSessions.delete(userKey);
-    } else {
-      this.userSessions.set(userKey, userSessions);
-    }
-    
-    // Validar límites
-    if (activeSessions.length >= maxSessionsPerUser) {
+    // Validar límites (las sesiones en creación también ocupan cupo)
+    const currentSessions = activeSessions.length + this.countTenantReservations(userKey);
+    if (currentSessions >= maxSessionsPerUser) {
       return {
         allowed: false,
         reason: 'session_limit_reached',
         maxSessions: maxSessionsPerUser,
-        currentSessions: activeSessions.length,
+        currentSessions,
         activeSessions: activeSessions
       };
     }
     
-    // Verificar límite global del sistema
+    return this.validateSystemLimit({
+      currentUserSessions: currentSessions,
+      maxUserSessions: maxSessionsPerUser
+    });
+  }
+
+  /**
+   * Verifica el límite global del sistema
+   * @param {Object} details - Campos que se añaden al resultado
+   * @returns {Promise<Object>} - Resultado de la validación
+   */
+  async validateSystemLimit(details = {}) {
     const allSessions = await this.whatsappService.getAllSessions();
     if (allSessions.length >= config.maxSessions) {
       return {
@@ -113,8 +250,7 @@ class SessionLifecycleManager {
     
     return {
       allowed: true,
-      currentUserSessions: activeSessions.length,
-      maxUserSessions: maxSessionsPerUser,
+      ...details,
       currentSystemSessions: allSessions.length,
       maxSystemSessions: config.maxSessions
     };
@@ -126,7 +262,15 @@ class SessionLifecycleManager {
    * @param {string} userId - ID del usuario (opcional)
    */
   registerSession(sessionId, userId = null) {
-    const userKey = userId || 'default-user';
+    const previous = this.sessionLimits.get(sessionId);
+    // Sin tenant (clave de plataforma) se conserva el dueño que ya tuviera la sesión
+    const userKey = userId || previous?.userId || DEFAULT_TENANT;
+    this.reservations.delete(sessionId);
+    
+    // Una sesión solo puede tener un dueño
+    if (previous && previous.userId !== userKey) {
+      this.unregisterSession(sessionId);
+    }
     
     // Agregar al tracking por usuario
     if (!this.userSessions.has(userKey)) {
@@ -137,9 +281,10 @@ class SessionLifecycleManager {
     // Registrar información de la sesión
     this.sessionLimits.set(sessionId, {
       userId: userKey,
-      createdAt: Date.now(),
+      createdAt: previous?.userId === userKey ? previous.createdAt : Date.now(),
       lastActivity: Date.now()
     });
+    this.persistOwners();
     
     logger.info(`Sesión ${sessionId} registrada para usuario ${userKey}`);
   }
@@ -165,6 +310,7 @@ class SessionLifecycleManager {
       
       // Remover información de sesión
       this.sessionLimits.delete(sessionId);
+      this.persistOwners();
       
       logger.info(`Sesión ${sessionId} desregistrada`);
     }
@@ -320,4 +466,5 @@ class SessionLifecycleManager {
   }
 }
 
-module.exports = SessionLifecycleManager;
\ No newline at end of file
+module.exports = SessionLifecycleManager;
+module.exports.DEFAULT_TENANT = DEFAULT_TENANT;
\ No newline at end of file
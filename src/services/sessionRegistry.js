@@ -0,0 +1,154 @@
+/**
+ * src/services/sessionRegistry.js
+ * Registro persistente de sesiones: metadatos que deben sobrevivir a un reinicio
+ * (fecha de creación, modo escucha, captura de salientes y filtros por chat). Se guarda junto a los datos
+ * de autenticación en sessionDataPath.
+ */
+
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readJson, writeJson } = require('../utils/fileStore');
+
+// Modos de filtrado por chat:
+// - listen-all: se escuchan todos los chats, las reglas se guardan pero no se aplican
+// - allowlist: solo los chats marcados como escuchados
+// - denylist: todos los chats salvo los marcados como ignorados
+const CHAT_FILTER_MODES = ['listen-all', 'allowlist', 'denylist'];
+const DEFAULT_CHAT_FILTER_MODE = 'denylist';
+
+class SessionRegistry {
+  constructor() {
+    // Es un archivo, no una carpeta, así que el restaurador no lo confunde con una sesión
+    this.storePath = path.join(config.sessionDataPath, 'session-registry.json');
+    this.sessions = new Map(); // sessionId -> registro
+
+    this.load();
+  }
+
+  load() {
+    const stored = readJson(this.storePath, {});
+    Object.entries(stored).forEach(([sessionId, record]) => this.sessions.set(sessionId, record));
+
+    if (this.sessions.size > 0) {
+      logger.info(`Registro de sesiones cargado: ${this.sessions.size} sesiones`);
+    }
+  }
+
+  persist() {
+    try {
+      writeJson(this.storePath, Object.fromEntries(this.sessions));
+    } catch (error) {
+      logger.error('Error al guardar el registro de sesiones:', {
+        errorMessage: error.message
+      });
+    }
+  }
+
+  /**
+   * Obtiene el registro de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Object|null} - { sessionId, createdAt, isListening, captureOutgoing, chatFilterMode, chatFilters, updatedAt } o null
+   */
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  list() {
+    return Array.from(this.sessions.values());
+  }
+
+  /**
+   * Crea o actualiza el registro de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} changes - Campos a actualizar
+   * @returns {Object} - Registro actualizado
+   */
+  upsert(sessionId, changes = {}) {
+    const now = Date.now();
+    const current = this.sessions.get(sessionId) || {
+      sessionId,
+      createdAt: now,
+      isListening: false,
+      captureOutgoing: false,
+      chatFilterMode: DEFAULT_CHAT_FILTER_MODE,
+      chatFilters: {}
+    };
+
+    const record = { ...current, ...changes, sessionId, updatedAt: now };
+    this.sessions.set(sessionId, record);
+    this.persist();
+
+    return record;
+  }
+
+  setListening(sessionId, isListening) {
+    return this.upsert(sessionId, { isListening });
+  }
+
+  setCaptureOutgoing(sessionId, captureOutgoing) {
+    return this.upsert(sessionId, { captureOutgoing });
+  }
+
+  /**
+   * Guarda el estado de escucha de un chat concreto
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat
+   * @param {boolean} isListening - Si el chat se escucha
+   * @returns {Object} - Registro actualizado
+   */
+  setChatFilter(sessionId, chatId, isListening) {
+    const chatFilters = { ...(this.get(sessionId)?.chatFilters || {}), [chatId]: isListening };
+    return this.upsert(sessionId, { chatFilters });
+  }
+
+  /**
+   * Reemplaza el modo de filtrado y, si se indican, las reglas por chat
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatFilterMode - Modo de filtrado
+   * @param {Object} chatFilters - chatId -> isListening (opcional)
+   * @returns {Object} - Registro actualizado
+   */
+  setChatFilters(sessionId, chatFilterMode, chatFilters) {
+    const changes = { chatFilterMode };
+    if (chatFilters) {
+      changes.chatFilters = chatFilters;
+    }
+    return this.upsert(sessionId, changes);
+  }
+
+  /**
+   * Modo de filtrado guardado (los registros anteriores a los modos usan el de por defecto)
+   * @param {string} sessionId - ID de la sesión
+   * @returns {string} - Modo de filtrado
+   */
+  getChatFilterMode(sessionId) {
+    return this.get(sessionId)?.chatFilterMode || DEFAULT_CHAT_FILTER_MODE;
+  }
+
+  /**
+   * Filtros por chat guardados, en el formato que usa la sesión en memoria
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Map} - chatId -> isListening
+   */
+  getChatFilters(sessionId) {
+    return new Map(Object.entries(this.get(sessionId)?.chatFilters || {}));
+  }
+
+  /**
+   * Elimina el registro de una sesión (solo al borrarla, no al apagar el servidor)
+   * @param {string} sessionId - ID de la sesión
+   * @returns {boolean} - true si existía
+   */
+  remove(sessionId) {
+    const existed = this.sessions.delete(sessionId);
+    if (existed) {
+      this.persist();
+    }
+    return existed;
+  }
+}
+
+module.exports = new SessionRegistry();
+module.exports.CHAT_FILTER_MODES = CHAT_FILTER_MODES;
+module.exports.DEFAULT_CHAT_FILTER_MODE = DEFAULT_CHAT_FILTER_MODE;
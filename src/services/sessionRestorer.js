@@ -3,8 +3,38 @@ const path = require('path');
 const whatsappService = require('./whatsappService');
 const logger = require('../utils/logger');
 const socketService = require('./socketService');
+const sessionRegistry = require('./sessionRegistry');
+const config = require('../config');
 
-const sessionsPath = path.join(__dirname, '../../sessions');
+// Mismo directorio que usa LocalAuth para guardar las sesiones (session-<id>)
+const sessionsPath = config.sessionDataPath;
+
+/**
+ * Reaplica el modo escucha guardado en el registro una vez que la sesión está lista
+ * y recupera los mensajes recibidos mientras el servidor estaba detenido.
+ * Los filtros por chat ya se cargan desde el registro al crear la sesión en memoria.
+ * @param {string} sessionId - ID de la sesión
+ * @returns {boolean} - true si se reactivó la escucha
+ */
+function restoreListeningState(sessionId) {
+  const record = sessionRegistry.get(sessionId);
+  if (!record || !record.isListening) {
+    return false;
+  }
+
+  try {
+    whatsappService.resumeListening(sessionId);
+    logger.info(`👂 Modo escucha restaurado para sesión ${sessionId}`, {
+      chatFilters: Object.keys(record.chatFilters || {}).length
+    });
+    return true;
+  } catch (error) {
+    logger.error(`Error al restaurar modo escucha de sesión ${sessionId}:`, {
+      errorMessage: error.message
+    });
+    return false;
+  }
+}
 
 async function restoreSessionsOnStart() {
   try {
@@ -24,6 +54,13 @@ async function restoreSessionsOnStart() {
       return;
     }
 
+    // Registros de sesiones cuya carpeta ya no existe (p. ej. cerradas desde el teléfono)
+    const folderIds = sessionFolders.map(entry => entry.name.replace(/^session-/, ''));
+    const orphanRecords = sessionRegistry.list().filter(record => !folderIds.includes(record.sessionId));
+    if (orphanRecords.length > 0) {
+      logger.warn(`🗂️ Registro con ${orphanRecords.length} sesiones sin datos de autenticación: ${orphanRecords.map(record => record.sessionId).join(', ')}`);
+    }
+
     logger.info(`📦 Encontradas ${sessionFolders.length} sesiones para restaurar`);
 
     // ✅ Crear array de promesas de restauración
@@ -46,10 +83,12 @@ async function restoreSessionsOnStart() {
             restorationPromise
               .then(result => {
                 socketService.markSessionConnected(sessionId);
+                const listening = restoreListeningState(sessionId);
                 logger.info(`✅ Sesión ${sessionId} restaurada correctamente`, {
                   sessionId: result.sessionId,
                   status: result.status,
-                  readyAt: result.readyAt
+                  readyAt: result.readyAt,
+                  listening
                 });
                 return { sessionId, success: true, result };
               })
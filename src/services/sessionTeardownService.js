@@ -0,0 +1,59 @@
+/**
+ * src/services/sessionTeardownService.js
+ * Eliminación completa de una sesión: cierra el cliente y borra todo lo que los demás
+ * servicios guardan de ella (cola, estados, webhooks, registro, filtros, historial, marcas,
+ * IDs vistos, referencias a medios, cachés de contactos) y la propiedad por tenant.
+ * Solo se usa al eliminar la sesión explícitamente (DELETE): las limpiezas de sesiones
+ * inactivas y los fallos de inicialización cierran el cliente pero conservan la sesión.
+ */
+
+const logger = require('../utils/logger');
+const whatsappService = require('./whatsappService');
+const messageQueueService = require('./messageQueueService');
+const messageStatusService = require('./messageStatusService');
+const webhookService = require('./webhookService');
+const sessionRegistry = require('./sessionRegistry');
+const messageFilterService = require('./messageFilterService');
+const messageStoreService = require('./messageStoreService');
+const chatWatermarkService = require('./chatWatermarkService');
+const inboundDedupService = require('./inboundDedupService');
+const mediaStorageService = require('./mediaStorageService');
+const contactsManager = require('./contactsManager');
+
+class SessionTeardownService {
+  constructor() {
+    // Lo crea server.js con el whatsappService ya cargado
+    this.lifecycleManager = null;
+  }
+
+  setLifecycleManager(lifecycleManager) {
+    this.lifecycleManager = lifecycleManager;
+  }
+
+  /**
+   * Elimina una sesión y todos sus datos
+   * @param {string} sessionId - ID de la sesión
+   */
+  async removeSession(sessionId) {
+    await whatsappService.cleanupSession(sessionId);
+
+    messageQueueService.clearSession(sessionId);
+    messageStatusService.clearSession(sessionId);
+    webhookService.clearSession(sessionId);
+    sessionRegistry.remove(sessionId);
+    messageFilterService.clearSession(sessionId);
+    messageStoreService.clearSession(sessionId);
+    chatWatermarkService.clearSession(sessionId);
+    inboundDedupService.clearSession(sessionId);
+    mediaStorageService.clearSession(sessionId);
+    contactsManager.clearSession(sessionId);
+
+    if (this.lifecycleManager) {
+      this.lifecycleManager.unregisterSession(sessionId);
+    }
+
+    logger.info(`Datos de la sesión ${sessionId} eliminados`);
+  }
+}
+
+module.exports = new SessionTeardownService();
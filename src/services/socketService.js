@@ -4,7 +4,13 @@
  */
 
 const socketIO = require('socket.io');
+const config = require('../config');
 const logger = require('../utils/logger');
+const apiKeyService = require('./apiKeyService');
+const { extractApiKey } = require('../middleware/auth');
+
+// Sala de los sockets que pueden ver todas las sesiones (claves sin restricción de sesiones)
+const ALL_SESSIONS_ROOM = '__all_sessions__';
 
 class SocketService {
   constructor() {
@@ -21,7 +27,7 @@ class SocketService {
     try {
       this.io = socketIO(server, {
         cors: {
-          origin: "*", // En producción, limitar a dominios específicos
+          origin: config.security.corsOrigins.includes('*') ? '*' : config.security.corsOrigins,
           methods: ["GET", "POST"]
         },
         // Agregar configuraciones adicionales para estabilidad
@@ -31,9 +37,17 @@ class SocketService {
         maxHttpBufferSize: 1e6 // 1MB
       });
 
+      // Autenticación con las mismas API keys que la API REST
+      this.io.use((socket, next) => this.authenticateSocket(socket, next));
+
       this.io.on('connection', (socket) => {
         logger.info(`Socket conectado: ${socket.id}`);
 
+        // Quien puede ver todas las sesiones recibe también los eventos globales
+        if (!socket.data.apiKey || !socket.data.apiKey.sessionIds) {
+          socket.join(ALL_SESSIONS_ROOM);
+        }
+
         // Manejar suscripción a una sesión
         socket.on('subscribe', (sessionId) => {
           try {
@@ -42,6 +56,16 @@ class SocketService {
               return;
             }
 
+            const { apiKey } = socket.data;
+            if (apiKey && !apiKeyService.canAccessSession(apiKey, sessionId)) {
+              logger.warn(`Socket ${socket.id} sin acceso a la sesión ${sessionId} (API key ${apiKey.name})`);
+              socket.emit('subscribe-error', {
+                sessionId,
+                error: `La API key no tiene acceso a la sesión ${sessionId}`
+              });
+              return;
+            }
+
             // Crear set de sockets si no existe para esta sesión
             if (!this.connections.has(sessionId)) {
               this.connections.set(sessionId, new Set());
@@ -155,6 +179,31 @@ class SocketService {
     }
   }
 
+  /**
+   * Middleware de Socket.IO: exige una API key con scope read en el handshake
+   * (auth.apiKey, header X-API-Key o Authorization: Bearer)
+   * @param {Object} socket - Socket entrante
+   * @param {Function} next - Callback de Socket.IO
+   */
+  authenticateSocket(socket, next) {
+    if (!config.security.apiKeyAuth) {
+      return next();
+    }
+
+    const plainKey = socket.handshake.auth?.apiKey || extractApiKey(socket.handshake.headers);
+    const apiKey = apiKeyService.authenticate(plainKey);
+
+    if (!apiKey || !apiKeyService.hasScope(apiKey, 'read')) {
+      logger.warn(`Conexión de socket rechazada: API key requerida o inválida`, {
+        address: socket.handshake.address
+      });
+      return next(new Error('API key requerida o inválida'));
+    }
+
+    socket.data.apiKey = apiKey;
+    next();
+  }
+
   /**
    * Verifica si el servicio está inicializado
    */
@@ -287,7 +336,8 @@ class SocketService {
       return;
     }
     
-    this.io.emit('session-status', {
+    // Solo a los suscritos a la sesión y a quien puede ver todas las sesiones
+    this.io.to(sessionId).to(ALL_SESSIONS_ROOM).emit('session-status', {
       sessionId,
       status,
       ...data,
@@ -335,7 +385,8 @@ class SocketService {
       return;
     }
     
-    this.io.emit(event, {
+    // Los eventos globales (ej: lista de sesiones) no llegan a claves restringidas a sesiones
+    this.io.to(ALL_SESSIONS_ROOM).emit(event, {
       ...data,
       timestamp: Date.now()
     });
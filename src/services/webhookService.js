@@ -1,74 +1,274 @@
-const axios = require('axios');
+/**
+ * src/services/webhookService.js
+ * Registro de webhooks por sesión: varios destinos con sus propios headers y tipos de evento
+ */
+
+const path = require('path');
+const crypto = require('crypto');
 const config = require('../config');
 const logger = require('../utils/logger');
+const sessionRegistry = require('./sessionRegistry');
+const { readJson, writeJson } = require('../utils/fileStore');
+const { generateSecret } = require('../utils/webhookSignature');
+
+// Categorías de eventos a las que se puede suscribir un destino
+const WEBHOOK_EVENTS = ['message', 'ack', 'status', 'qr', 'group'];
+
+// Cambios sobre mensajes existentes: llegan a quien se suscribe a message
+const MESSAGE_UPDATE_EVENTS = ['message_revoke', 'message_edit', 'message_reaction'];
+
+// Categorías que reciben el backend global cuando la sesión no tiene webhooks propios
+const GLOBAL_BACKEND_EVENTS = ['message', 'ack', 'group'];
+
+// Headers que no se permiten sobrescribir desde la configuración del destino
+const RESERVED_HEADERS = [
+  'content-type', 'content-length', 'host',
+  'x-webhook-signature', 'x-webhook-timestamp', 'x-webhook-delivery-id', 'x-webhook-event',
+  'idempotency-key'
+];
+
+const MIN_SECRET_LENGTH = 16;
 
 class WebhookService {
   constructor() {
-    this.webhookUrl = config.n8nWebhookUrl;
+    this.storePath = path.join(config.dataPath, 'webhooks.json');
+    this.targets = new Map(); // sessionId -> Array de destinos
+
+    this.load();
   }
 
-  // Función para sanitizar objetos antes de convertirlos a JSON
-  sanitizeForJson(obj) {
-    // Si no es un objeto o es null, devolvemos tal cual
-    if (obj === null || typeof obj !== 'object') {
-      return obj;
-    }
+  load() {
+    const stored = readJson(this.storePath, {});
+    let missingSecrets = 0;
 
-    // Si es un array, mapeamos cada elemento
-    if (Array.isArray(obj)) {
-      return obj.map(item => this.sanitizeForJson(item));
+    Object.entries(stored).forEach(([sessionId, targets]) => {
+      // Destinos guardados antes de existir la firma: asignarles un secreto
+      targets.forEach(target => {
+        if (!target.secret) {
+          target.secret = generateSecret();
+          missingSecrets++;
+        }
+      });
+      this.targets.set(sessionId, targets);
+    });
+
+    if (missingSecrets > 0) {
+      logger.warn(`Se generaron secretos de firma para ${missingSecrets} webhooks existentes`);
+      this.persist();
     }
 
-    // Si es un objeto, creamos una copia limpia
-    const sanitized = {};
-    for (const [key, value] of Object.entries(obj)) {
-      // Saltamos propiedades que pueden causar circularidad
-      if (
-        key === 'client' || 
-        key === '_events' || 
-        key === '_eventsCount' || 
-        key === '_maxListeners' ||
-        key === 'rawData' ||
-        key === 'data' && typeof value === 'object' && value !== null && value.buffer
-      ) {
-        continue;
-      }
-      
-      // Recursivamente sanitizamos el valor
-      sanitized[key] = this.sanitizeForJson(value);
+    if (this.targets.size > 0) {
+      logger.info(`Webhooks cargados para ${this.targets.size} sesiones`);
     }
-    
-    return sanitized;
   }
 
-  async sendMessagesToN8N(payload) {
+  persist() {
     try {
-      // Sanitizar el payload para evitar estructuras circulares
-      const sanitizedPayload = this.sanitizeForJson(payload);
-      
-      logger.info(`Enviando ${sanitizedPayload.messages?.length || 0} mensajes al webhook de n8n para chatId ${sanitizedPayload.chatId}`);
-
-      const response = await axios.post(this.webhookUrl, sanitizedPayload, {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000 // 10 segundos de timeout
+      writeJson(this.storePath, Object.fromEntries(this.targets));
+    } catch (error) {
+      logger.error('Error al guardar configuración de webhooks:', {
+        errorMessage: error.message
       });
+    }
+  }
 
-      if (response.status >= 200 && response.status < 300) {
-        logger.info(`Webhook enviado exitosamente a n8n: ${sanitizedPayload.messages?.length || 0} mensajes`);
-        return true;
-      } else {
-        logger.warn(`Respuesta inesperada del webhook n8n: ${response.status} ${response.statusText}`);
-        throw new Error(`Error en respuesta del webhook: ${response.status}`);
-      }
+  /**
+   * Traduce un tipo de evento concreto a su categoría de suscripción
+   * @param {string} eventType - Tipo de evento (message, message_ack, message_edit, session_status, qr, group_join...)
+   * @returns {string} - Categoría (message, ack, status, qr, group)
+   */
+  getEventCategory(eventType) {
+    if (eventType === 'message_ack') return 'ack';
+    if (MESSAGE_UPDATE_EVENTS.includes(eventType)) return 'message';
+    if (eventType === 'session_status') return 'status';
+    if (eventType.startsWith('group_')) return 'group';
+    return eventType;
+  }
+
+  /**
+   * Valida y normaliza un destino recibido por la API. El id lo genera el servicio:
+   * el del cliente solo sirve para referirse a un destino ya existente
+   * @param {Object} target - { id, url, headers, events, enabled, secret }
+   * @param {Object} previous - Destino anterior con el mismo id, si existe
+   * @returns {Object} - Destino normalizado
+   */
+  normalizeTarget(target, previous = null) {
+    if (!target || typeof target !== 'object') {
+      throw new Error('Destino de webhook inválido');
+    }
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(target.url);
     } catch (error) {
-      // Evitar errores circulares en el logging
-      const errorMessage = error.message || 'Error desconocido';
-      logger.error(`Error al enviar mensajes al webhook de n8n: ${errorMessage}`);
-      throw new Error(`Error al enviar mensajes: ${errorMessage}`);
+      throw new Error(`URL de webhook inválida: ${target.url}`);
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new Error(`URL de webhook inválida, solo se permite http/https: ${target.url}`);
+    }
+
+    const headers = target.headers || {};
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new Error('headers inválidos, debe ser un objeto nombre -> valor');
+    }
+
+    Object.entries(headers).forEach(([name, value]) => {
+      if (typeof value !== 'string') {
+        throw new Error(`Valor inválido para el header ${name}, debe ser texto`);
+      }
+      if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+        throw new Error(`Header ${name} inválido, lo define el servicio`);
+      }
+    });
+
+    const events = target.events || WEBHOOK_EVENTS;
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('events inválido, debe ser una lista no vacía');
+    }
+
+    const unknownEvents = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknownEvents.length > 0) {
+      throw new Error(`Eventos inválidos: ${unknownEvents.join(', ')}. Permitidos: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+
+    // Sin secreto explícito se conserva el anterior o se genera uno nuevo
+    const secret = target.secret || previous?.secret || generateSecret();
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`secret inválido, debe tener al menos ${MIN_SECRET_LENGTH} caracteres`);
+    }
+
+    const now = Date.now();
+
+    return {
+      id: previous?.id || crypto.randomUUID(),
+      url: parsedUrl.toString(),
+      headers,
+      secret,
+      events: [...new Set(events)],
+      enabled: target.enabled !== false,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Reemplaza los destinos de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @param {Array} targets - Destinos nuevos
+   * @returns {Array} - Destinos guardados
+   */
+  setSessionTargets(sessionId, targets) {
+    if (!Array.isArray(targets)) {
+      throw new Error('targets inválido, debe ser una lista de destinos');
+    }
+
+    if (targets.length > config.webhooks.maxTargetsPerSession) {
+      throw new Error(`Cantidad de destinos inválida, máximo ${config.webhooks.maxTargetsPerSession} por sesión`);
+    }
+
+    if (!sessionRegistry.get(sessionId)) {
+      throw new Error(`Sesión ${sessionId} no encontrada`);
+    }
+
+    // Un id repetido haría que getTarget firmase con el secreto de otro destino
+    const current = this.targets.get(sessionId) || [];
+    const seenIds = new Set();
+    const normalized = targets.map(target => {
+      let previous = null;
+      if (target?.id !== undefined) {
+        previous = current.find(existing => existing.id === target.id);
+        if (!previous) {
+          throw new Error(`id de destino inválido: ${target.id} no es un destino de la sesión (omítelo para crear uno nuevo)`);
+        }
+        if (seenIds.has(target.id)) {
+          throw new Error(`id de destino inválido: ${target.id} está repetido`);
+        }
+        seenIds.add(target.id);
+      }
+      return this.normalizeTarget(target, previous);
+    });
+
+    if (normalized.length === 0) {
+      this.targets.delete(sessionId);
+    } else {
+      this.targets.set(sessionId, normalized);
+    }
+    this.persist();
+
+    logger.info(`Webhooks actualizados para sesión ${sessionId}: ${normalized.length} destinos`);
+    return normalized;
+  }
+
+  getSessionTargets(sessionId) {
+    return this.targets.get(sessionId) || [];
+  }
+
+  /**
+   * Busca un destino concreto de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} targetId - ID del destino
+   * @returns {Object|null} - Destino o null si ya no existe
+   */
+  getTarget(sessionId, targetId) {
+    return this.getSessionTargets(sessionId).find(target => target.id === targetId) || null;
+  }
+
+  /**
+   * Copia de un destino con el secreto enmascarado, para respuestas de la API
+   * @param {Object} target - Destino
+   * @returns {Object} - Destino sin secreto completo
+   */
+  toPublicTarget(target) {
+    return {
+      ...target,
+      secret: target.secret ? `${target.secret.slice(0, 6)}...${target.secret.slice(-4)}` : null
+    };
+  }
+
+  /**
+   * Obtiene los destinos habilitados de una sesión suscritos a un tipo de evento
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} eventType - Tipo de evento
+   * @returns {Array} - Destinos
+   */
+  getTargetsForEvent(sessionId, eventType) {
+    const category = this.getEventCategory(eventType);
+    return this.getSessionTargets(sessionId)
+      .filter(target => target.enabled && target.events.includes(category));
+  }
+
+  /**
+   * Indica si la sesión tiene webhooks propios habilitados (y por tanto no usa el backend global)
+   * @param {string} sessionId - ID de la sesión
+   * @returns {boolean}
+   */
+  hasOwnTargets(sessionId) {
+    return this.getSessionTargets(sessionId).some(target => target.enabled);
+  }
+
+  /**
+   * Indica si un tipo de evento se envía al backend global como respaldo
+   * @param {string} eventType - Tipo de evento
+   * @returns {boolean}
+   */
+  isGlobalBackendEvent(eventType) {
+    return GLOBAL_BACKEND_EVENTS.includes(this.getEventCategory(eventType));
+  }
+
+  /**
+   * Elimina los webhooks de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @returns {boolean} - true si había configuración
+   */
+  clearSession(sessionId) {
+    const existed = this.targets.delete(sessionId);
+    if (existed) {
+      this.persist();
     }
+    return existed;
   }
 }
 
-module.exports = new WebhookService();
\ No newline at end of file
+module.exports = new WebhookService();
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -50,7 +50,7 @@ class WhatsAppChatService {
         if (isGroup) {
           try {
             // Para grupos, obtener información detallada
-            const groupInfo = await contactsManager.getGroupInfo(client, chat.id._serialized);
+            const groupInfo = await contactsManager.getGroupInfo(sessionId, client, chat.id._serialized);
             if (groupInfo) {
               chatInfo.name = groupInfo.name || chatInfo.name;
               chatInfo.description = groupInfo.description;
@@ -63,7 +63,7 @@ class WhatsAppChatService {
         } else {
           try {
             // Para chats individuales, obtener info del contacto
-            const contactInfo = await contactsManager.getContactInfo(client, chat.id._serialized);
+            const contactInfo = await contactsManager.getContactInfo(sessionId, client, chat.id._serialized);
             if (contactInfo) {
               chatInfo.name = contactInfo.savedName || contactInfo.pushname || contactInfo.number || chatInfo.name;
               chatInfo.number = contactInfo.number;
@@ -106,14 +106,17 @@ class WhatsAppChatService {
    * @returns {Promise<boolean>} - true si se actualizó correctamente
    */
   async updateChatListeningStatus(sessionId, chatId, isListening) {
+    // La regla ya está guardada en la sesión; la caché solo se actualiza si tiene el chat
     const cachedData = this.cache.get(sessionId);
     if (!cachedData) {
-      throw new Error(`No hay datos en caché para la sesión ${sessionId}`);
+      logger.debug(`Sin caché de chats para sesión ${sessionId}, no hay nada que actualizar`);
+      return false;
     }
 
     const chatIndex = cachedData.chats.findIndex(chat => chat.id === chatId);
     if (chatIndex === -1) {
-      throw new Error(`Chat ${chatId} no encontrado en la sesión ${sessionId}`);
+      logger.debug(`Chat ${chatId} no está en la caché de la sesión ${sessionId}`);
+      return false;
     }
 
     // Actualizar estado
@@ -1,7 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const axios = require('axios');
+const { MessageMedia } = require('whatsapp-web.js');
 const logger = require('../utils/logger');
 const config = require('../config');
+const mediaStorageService = require('./mediaStorageService');
+const { assertPublicUrl, httpAgent, httpsAgent } = require('../utils/urlGuard');
+
+// Redirecciones que se siguen al descargar un medio desde una URL
+const MAX_DOWNLOAD_REDIRECTS = 5;
 
 // Crear directorio para almacenar temporalmente los medios si no existe
 const mediaTempDir = path.join(__dirname, '../../media-temp');
@@ -9,6 +16,33 @@ if (!fs.existsSync(mediaTempDir)) {
   fs.mkdirSync(mediaTempDir, { recursive: true });
 }
 
+// Mapa de tipos MIME a extensiones
+const mimeToExt = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'application/pdf': 'pdf',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'text/plain': 'txt'
+};
+
+// Mapa inverso de extensiones a tipos MIME (con alias comunes)
+const extToMime = Object.entries(mimeToExt).reduce((map, [mime, ext]) => {
+  map[ext] = mime;
+  return map;
+}, { jpeg: 'image/jpeg', opus: 'audio/ogg', oga: 'audio/ogg', csv: 'text/csv' });
+
 class WhatsAppMediaHandler {
   constructor() {
     this.mediaTempDir = mediaTempDir;
@@ -25,9 +59,10 @@ class WhatsAppMediaHandler {
   /**
    * Maneja la descarga y procesamiento de medios de un mensaje
    * @param {Object} message - Mensaje de WhatsApp
+   * @param {Object} options - { sessionId } sesión a la que se asigna el medio guardado
    * @returns {Promise<Object>} - Información del medio procesado
    */
-  async processMessageMedia(message) {
+  async processMessageMedia(message, options = {}) {
     if (!message || !message.hasMedia) {
       return null;
     }
@@ -49,10 +84,25 @@ class WhatsAppMediaHandler {
       const mediaInfo = {
         mediaType: mediaType,
         mimeType: mediaData.mimetype || this.getMimeTypeFromMediaType(mediaType),
-        data: mediaData.data, // base64 data
         filename: mediaData.filename || this.generateFilename(mediaType, mediaData.mimetype),
         filesize: mediaData.filesize,
       };
+
+      if (config.mediaStorage.enabled) {
+        // El contenido queda en disco, sin base64 en memoria. Solo se guarda el mediaId:
+        // la URL firmada se genera al enviar el payload (mediaStorageService.withSignedUrl)
+        const buffer = Buffer.from(mediaData.data, 'base64');
+        const stored = mediaStorageService.store(buffer, {
+          mimeType: mediaInfo.mimeType,
+          filename: mediaInfo.filename,
+          sessionId: options.sessionId
+        });
+
+        mediaInfo.mediaId = stored.mediaId;
+        mediaInfo.filesize = stored.size;
+      } else {
+        mediaInfo.data = mediaData.data; // base64 data
+      }
       
       // Si hay metadatos adicionales específicos para el tipo de medio, agregarlos
       this.addTypeSpecificMetadata(mediaInfo, message, mediaType);
@@ -128,30 +178,21 @@ class WhatsAppMediaHandler {
   getExtensionFromMimeType(mimeType) {
     if (!mimeType) return 'bin';
     
-    // Mapa de tipos MIME a extensiones
-    const mimeToExt = {
-      'image/jpeg': 'jpg',
-      'image/png': 'png',
-      'image/gif': 'gif',
-      'image/webp': 'webp',
-      'video/mp4': 'mp4',
-      'video/3gpp': '3gp',
-      'audio/ogg': 'ogg',
-      'audio/mpeg': 'mp3',
-      'audio/mp4': 'm4a',
-      'application/pdf': 'pdf',
-      'application/vnd.ms-powerpoint': 'ppt',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
-      'application/msword': 'doc',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
-      'application/vnd.ms-excel': 'xls',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
-      'text/plain': 'txt'
-    };
-    
     return mimeToExt[mimeType] || 'bin';
   }
 
+  /**
+   * Obtiene el tipo MIME a partir de la extensión de un nombre de archivo
+   * @param {string} filename - Nombre de archivo
+   * @returns {string|null} - Tipo MIME o null si la extensión no es conocida
+   */
+  getMimeTypeFromExtension(filename) {
+    if (!filename) return null;
+
+    const extension = path.extname(filename).replace('.', '').toLowerCase();
+    return extToMime[extension] || null;
+  }
+
   /**
    * Obtiene un tipo MIME predeterminado basado en el tipo de medio
    * @param {string} mediaType - Tipo de medio
@@ -214,6 +255,138 @@ class WhatsAppMediaHandler {
     }
   }
 
+  /**
+   * Construye un MessageMedia para envío a partir de un archivo subido, base64 o URL
+   * @param {Object} source - Origen del medio
+   * @param {Buffer} [source.buffer] - Contenido binario (multipart)
+   * @param {string} [source.data] - Contenido en base64 (admite data URI)
+   * @param {string} [source.url] - URL desde donde descargar el medio
+   * @param {string} [source.mimetype] - Tipo MIME (se infiere si no se indica)
+   * @param {string} [source.filename] - Nombre del archivo
+   * @returns {Promise<MessageMedia>} - Medio listo para enviar
+   */
+  async buildMessageMedia(source = {}) {
+    let { buffer, data, mimetype, filename } = source;
+
+    if (source.url) {
+      const downloaded = await this.downloadFromUrl(source.url);
+      buffer = downloaded.buffer;
+      mimetype = mimetype || downloaded.mimetype;
+      filename = filename || downloaded.filename;
+    } else if (data) {
+      // Aceptar data URIs del tipo data:image/png;base64,....
+      const dataUriMatch = /^data:([^;]+);base64,(.*)$/s.exec(data);
+      if (dataUriMatch) {
+        mimetype = mimetype || dataUriMatch[1];
+        data = dataUriMatch[2];
+      }
+      buffer = Buffer.from(data, 'base64');
+    }
+
+    if (!buffer || buffer.length === 0) {
+      throw new Error('Se requiere un archivo, contenido base64 o una URL válida para el medio');
+    }
+
+    if (buffer.length > config.media.maxSendBytes) {
+      throw new Error(`El medio excede el tamaño máximo permitido (${config.media.maxSendBytes} bytes)`);
+    }
+
+    mimetype = mimetype || this.getMimeTypeFromExtension(filename);
+    if (!mimetype) {
+      throw new Error('No se pudo determinar el tipo MIME del medio, indique mimetype');
+    }
+
+    // Normalizar parámetros del tipo MIME (ej: "audio/ogg; codecs=opus")
+    const baseMimeType = mimetype.split(';')[0].trim();
+    filename = filename || `file_${Date.now()}.${this.getExtensionFromMimeType(baseMimeType)}`;
+
+    return new MessageMedia(mimetype, buffer.toString('base64'), filename, buffer.length);
+  }
+
+  /**
+   * Descarga un medio desde una URL pública respetando el tamaño máximo de envío. Se rechazan las
+   * direcciones internas (loopback, privadas, link-local) también tras cada redirección
+   * @param {string} url - URL del medio
+   * @returns {Promise<Object>} - { buffer, mimetype, filename }
+   */
+  async downloadFromUrl(url) {
+    let parsedUrl = assertPublicUrl(url);
+    let response;
+
+    // Las redirecciones se siguen a mano para validar cada destino
+    for (let redirects = 0; ; redirects++) {
+      logger.info(`Descargando medio desde URL ${parsedUrl.origin}${parsedUrl.pathname}`);
+
+      response = await axios.get(parsedUrl.href, {
+        responseType: 'arraybuffer',
+        timeout: config.media.downloadTimeout,
+        maxContentLength: config.media.maxSendBytes,
+        maxBodyLength: config.media.maxSendBytes,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        httpAgent,
+        httpsAgent,
+        proxy: false
+      });
+
+      if (response.status < 300) break;
+
+      if (!response.headers.location || redirects >= MAX_DOWNLOAD_REDIRECTS) {
+        throw new Error(`URL de medio inválida: redirección sin destino o más de ${MAX_DOWNLOAD_REDIRECTS} redirecciones`);
+      }
+      parsedUrl = assertPublicUrl(new URL(response.headers.location, parsedUrl).href);
+    }
+
+    const contentType = response.headers['content-type'] || null;
+    const filename = path.basename(parsedUrl.pathname) || null;
+
+    return {
+      buffer: Buffer.from(response.data),
+      mimetype: contentType && contentType !== 'application/octet-stream'
+        ? contentType
+        : this.getMimeTypeFromExtension(filename) || contentType,
+      filename
+    };
+  }
+
+  /**
+   * Traduce el tipo de envío solicitado a opciones de whatsapp-web.js
+   * @param {string} sendType - image, video, audio, voice/ptt, document o sticker
+   * @param {Object} options - { caption }
+   * @returns {Object} - Opciones para client.sendMessage
+   */
+  getSendOptions(sendType, options = {}) {
+    const sendOptions = {};
+
+    switch (sendType) {
+      case this.mediaTypes.VOICE:
+      case 'voice':
+        sendOptions.sendAudioAsVoice = true;
+        break;
+      case this.mediaTypes.DOCUMENT:
+        sendOptions.sendMediaAsDocument = true;
+        break;
+      case this.mediaTypes.STICKER:
+        sendOptions.sendMediaAsSticker = true;
+        break;
+      case this.mediaTypes.IMAGE:
+      case this.mediaTypes.VIDEO:
+      case this.mediaTypes.AUDIO:
+      case undefined:
+      case null:
+        break;
+      default:
+        throw new Error(`Tipo de medio inválido: ${sendType}`);
+    }
+
+    // Los stickers y notas de voz no admiten pie de foto
+    if (options.caption && !sendOptions.sendMediaAsSticker && !sendOptions.sendAudioAsVoice) {
+      sendOptions.caption = options.caption;
+    }
+
+    return sendOptions;
+  }
+
   /**
    * Guarda temporalmente un medio en disco
    * @param {Object} mediaInfo - Información del medio
@@ -241,8 +414,11 @@ class WhatsAppMediaHandler {
   /**
    * Limpia archivos temporales antiguos
    * @param {number} maxAgeMinutes - Edad máxima en minutos
+   * @returns {Object} - { files, bytes } eliminados
    */
   cleanupTempFiles(maxAgeMinutes = 60) {
+    const result = { files: 0, bytes: 0 };
+
     try {
       const files = fs.readdirSync(this.mediaTempDir);
       const now = Date.now();
@@ -254,12 +430,16 @@ class WhatsAppMediaHandler {
         
         if (fileAgeMinutes > maxAgeMinutes) {
           fs.unlinkSync(filePath);
+          result.files++;
+          result.bytes += stats.size;
           logger.debug(`Archivo temporal eliminado: ${filePath} (${fileAgeMinutes.toFixed(2)} minutos)`);
         }
       });
     } catch (error) {
       logger.error('Error al limpiar archivos temporales:', error);
     }
+
+    return result;
   }
 }
 
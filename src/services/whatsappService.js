@@ -10,6 +10,23 @@ const qrService = require('./qrService');
 const chatService = require('./whatsappChatService');
 const socketService = require('./socketService');
 const backendService = require('./backendService');
+const messageStatusService = require('./messageStatusService');
+const sessionRegistry = require('./sessionRegistry');
+const messageFilterService = require('./messageFilterService');
+const messageStoreService = require('./messageStoreService');
+const chatWatermarkService = require('./chatWatermarkService');
+const inboundDedupService = require('./inboundDedupService');
+const mediaStorageService = require('./mediaStorageService');
+const { CHAT_FILTER_MODES } = require('./sessionRegistry');
+
+// Máximo de mensajes que se piden a WhatsApp al paginar el historial de un chat
+const MAX_HISTORY_FETCH = 1000;
+
+// Eventos del cliente que solo se escuchan mientras la sesión está en modo escucha
+const LISTENING_EVENTS = ['message', 'message_create', 'message_revoke_everyone', 'message_edit', 'message_reaction'];
+
+// Notificaciones de grupo. Se escuchan siempre para mantener al día la caché de grupos
+const GROUP_EVENTS = ['group_join', 'group_leave', 'group_admin_changed', 'group_update'];
 
 class WhatsAppService {
   constructor() {
@@ -22,7 +39,7 @@ class WhatsAppService {
         } catch (error) {
           logger.error('Error al limpiar caché de contactos:', error);
         }
-    }, 7200000); // 2 horas en milisegundos
+    }, config.cacheCleanupInterval);
   }
 
   ensureSessionDirectory() {
@@ -116,15 +133,22 @@ class WhatsAppService {
         }
       }
     } else {
+      // Recuperar metadatos guardados antes de un reinicio (o registrar la sesión nueva)
+      const record = sessionRegistry.get(sessionId) || sessionRegistry.upsert(sessionId);
+
       // ✅ NUEVA ESTRUCTURA: Eliminamos messageBuffer, chunkTimers
       this.clients.set(sessionId, {
         client: null,
         isListening: false,
-        createdAt: Date.now(),
+        createdAt: record.createdAt,
         lastActivity: Date.now(),
         reconnectionAttempts: 0,
         isConnected: false,
-        readyAt: null
+        readyAt: null,
+        captureOutgoing: Boolean(record.captureOutgoing),
+        pendingApiSends: new Set(),
+        chatFilterMode: sessionRegistry.getChatFilterMode(sessionId),
+        chatFilters: sessionRegistry.getChatFilters(sessionId)
       });
     }
 
@@ -166,6 +190,7 @@ class WhatsAppService {
       
       // Guardar QR en el servicio
       qrService.saveQR(sessionId, qr);
+      this.notifySessionEvent(sessionId, 'qr', { qr });
       
       logger.info(`QR Code guardado y disponible para interfaz web`);
     });
@@ -181,6 +206,9 @@ class WhatsAppService {
     client.on('ready', async () => {
       logger.info(`Cliente WhatsApp listo y conectado para la sesión ${sessionId}`);
 
+      // En la restauración desde disco es sessionRestorer quien reanuda la escucha
+      const isRestoration = Boolean(this.restorationPromises[sessionId]);
+
       const session = this.clients.get(sessionId);
       if (session) {
         session.isConnected = true;
@@ -195,6 +223,7 @@ class WhatsAppService {
       
       // Emitir evento de conexión exitosa
       socketService.markSessionConnected(sessionId);
+      this.notifySessionEvent(sessionId, 'session_status', { status: 'connected' });
       
       // ✅ Resolver promesa de restauración si existe
       if (this.restorationPromises[sessionId]) {
@@ -207,10 +236,23 @@ class WhatsAppService {
         
         delete this.restorationPromises[sessionId];
       }
+
+      // Tras una reconexión el cliente es nuevo: volver a escuchar y recuperar lo perdido
+      if (!isRestoration) {
+        this.resumeListening(sessionId);
+      }
       
       logger.info(`Sesión ${sessionId} lista para recibir comandos`);
     });
 
+    // Seguir estados de entrega/lectura de mensajes salientes
+    client.on('message_ack', (message, ack) => this.handleMessageAck(sessionId, message, ack));
+
+    // Altas, bajas, cambios de admin y de información de los grupos
+    GROUP_EVENTS.forEach(eventType => {
+      client.on(eventType, (notification) => this.handleGroupNotification(sessionId, eventType, notification));
+    });
+
     // Manejar cambios de estado
     client.on('change_state', (state) => {
       logger.debug(`Cambio de estado para sesión ${sessionId}: ${state}`);
@@ -234,6 +276,7 @@ class WhatsAppService {
         message,
         attempts: session.reconnectionAttempts 
       });
+      this.notifySessionEvent(sessionId, 'session_status', { status: 'auth_failure', message });
     });
 
     // ✅ Manejar desconexión con lógica mejorada y limpieza de promesas
@@ -254,6 +297,7 @@ class WhatsAppService {
         qrService.markSessionDisconnected(sessionId);
       }
       socketService.markSessionDisconnected(sessionId);
+      this.notifySessionEvent(sessionId, 'session_status', { status: 'disconnected', reason });
       
       this.handleAutomaticReconnection(sessionId, reason);
     });
@@ -309,7 +353,9 @@ class WhatsAppService {
         delete this.restorationPromises[sessionId];
       }
       
-      this.cleanupSession(sessionId);
+      // Solo se descarta el cliente a medio crear: el registro, la configuración y la
+      // propiedad de la sesión se conservan para poder reintentar
+      await this.cleanupSession(sessionId);
       
       if (error.message.includes('Timeout')) {
         throw new Error(`Timeout al inicializar la sesión. Intente nuevamente.`);
@@ -371,13 +417,26 @@ class WhatsAppService {
     }
 
     // Remover listeners anteriores para evitar duplicados
-    session.client.removeAllListeners('message');
+    this.detachListeningHandlers(session.client);
     
     // ✅ CONFIGURAR NUEVO MANEJADOR: handleMessage actualizado
     session.client.on('message', (message) => this.handleMessage(sessionId, message));
+
+    // message_create también se emite con los mensajes propios (teléfono y API)
+    session.client.on('message_create', (message) => {
+      if (message.fromMe) {
+        this.handleOutgoingMessage(sessionId, message);
+      }
+    });
+
+    // Cambios sobre mensajes ya recibidos: borrado para todos, edición y reacciones
+    session.client.on('message_revoke_everyone', (message, revokedMessage) => this.handleMessageRevoke(sessionId, message, revokedMessage));
+    session.client.on('message_edit', (message, newBody, previousBody) => this.handleMessageEdit(sessionId, message, newBody, previousBody));
+    session.client.on('message_reaction', (reaction) => this.handleMessageReaction(sessionId, reaction));
     
     // Marcar como escuchando
     session.isListening = true;
+    sessionRegistry.setListening(sessionId, true);
     logger.info(`Modo escucha activado para la sesión ${sessionId}`);
     
     // Emitir estado por socket
@@ -386,6 +445,114 @@ class WhatsAppService {
     return { status: 'listening_started' };
   }
 
+  /**
+   * Quita los manejadores que registra startListening
+   * @param {Object} client - Cliente de WhatsApp de la sesión
+   */
+  detachListeningHandlers(client) {
+    LISTENING_EVENTS.forEach(eventName => client.removeAllListeners(eventName));
+  }
+
+  /**
+   * Reanuda la escucha guardada en el registro sobre el cliente actual de la sesión
+   * (tras reiniciar el servidor o reconectar) y programa la recuperación de mensajes
+   * @param {string} sessionId - ID de la sesión
+   * @returns {boolean} - true si la sesión estaba escuchando y se reanudó
+   */
+  resumeListening(sessionId) {
+    const session = this.clients.get(sessionId);
+    const record = sessionRegistry.get(sessionId);
+    if (!session || !session.client || !record || !record.isListening) {
+      return false;
+    }
+
+    // El listener anterior pertenecía a otro cliente: forzar que se registre de nuevo
+    session.isListening = false;
+    this.startListening(sessionId);
+
+    if (config.backfill.enabled) {
+      setTimeout(() => {
+        this.backfillSession(sessionId).catch(error => {
+          logger.error(`Error al recuperar mensajes de sesión ${sessionId}:`, {
+            errorMessage: error.message,
+            stack: error.stack
+          });
+        });
+      }, config.backfill.delayMs);
+    }
+
+    return true;
+  }
+
+  /**
+   * Recupera los mensajes entrantes que llegaron mientras la sesión estaba desconectada:
+   * en cada chat escuchado, los posteriores a su marca de agua o, si no tiene marca, los no leídos.
+   * Pasan por handleMessage, así que se filtran, se guardan y se envían al backend igual que en vivo
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Promise<Object>} - { chats, messages }
+   */
+  async backfillSession(sessionId) {
+    const session = this.clients.get(sessionId);
+    if (!session || !session.isListening) {
+      return { chats: 0, messages: 0 };
+    }
+
+    const client = await this.getConnectedClient(sessionId);
+    const { maxChats, maxMessagesPerChat } = config.backfill;
+
+    const chats = (await client.getChats())
+      .filter(chat => this.isChatListened(session, chat.id._serialized))
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+      .slice(0, maxChats);
+
+    let recoveredChats = 0;
+    let recoveredMessages = 0;
+
+    for (const chat of chats) {
+      const chatId = chat.id._serialized;
+      const watermark = chatWatermarkService.get(sessionId, chatId);
+
+      // Sin marca solo se recuperan los no leídos; con marca, todo lo posterior
+      let limit;
+      if (watermark) {
+        if ((chat.timestamp || 0) < watermark.timestamp) continue;
+        limit = maxMessagesPerChat;
+      } else {
+        if (!chat.unreadCount) continue;
+        limit = Math.min(chat.unreadCount, maxMessagesPerChat);
+      }
+
+      try {
+        const messages = (await chat.fetchMessages({ limit }))
+          .filter(message => !message.fromMe)
+          .filter(message => chatWatermarkService.isAfterWatermark(sessionId, chatId, {
+            messageId: message.id._serialized,
+            timestamp: message.timestamp
+          }));
+
+        if (messages.length === 0) continue;
+
+        // fetchMessages devuelve del más antiguo al más reciente: se respeta el orden original
+        for (const message of messages) {
+          await this.handleMessage(sessionId, message, { backfill: true });
+        }
+
+        recoveredChats++;
+        recoveredMessages += messages.length;
+      } catch (error) {
+        logger.warn(`No se pudieron recuperar mensajes del chat ${chatId} en sesión ${sessionId}: ${error.message}`);
+      }
+    }
+
+    if (recoveredMessages > 0) {
+      logger.info(`Recuperados ${recoveredMessages} mensajes de ${recoveredChats} chats en sesión ${sessionId}`);
+    } else {
+      logger.debug(`Sin mensajes pendientes de recuperar en sesión ${sessionId}`);
+    }
+
+    return { chats: recoveredChats, messages: recoveredMessages };
+  }
+
   // ✅ MÉTODO ACTUALIZADO: stopListening sin buffers
   async stopListening(sessionId) {
     const session = this.clients.get(sessionId);
@@ -398,11 +565,12 @@ class WhatsAppService {
       return { status: 'not_listening' };
     }
 
-    // Remover el manejador de mensajes
-    session.client.removeAllListeners('message');
+    // Remover los manejadores de mensajes
+    this.detachListeningHandlers(session.client);
 
     // Marcar como no escuchando
     session.isListening = false;
+    sessionRegistry.setListening(sessionId, false);
     logger.info(`Modo escucha desactivado para la sesión ${sessionId}`);
 
     // Emitir estado por socket
@@ -411,7 +579,39 @@ class WhatsAppService {
     return { status: 'listening_stopped' };
   }
 
-  async handleMessage(sessionId, message) {
+  /**
+   * Procesa un mensaje propio (fromMe) si la sesión captura los salientes. Los enviados
+   * por la API ya se conocen, así que solo se reenvían los escritos desde el teléfono
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} message - Mensaje de whatsapp-web.js
+   */
+  async handleOutgoingMessage(sessionId, message) {
+    const session = this.clients.get(sessionId);
+    if (!session || !session.isListening || !session.captureOutgoing) return;
+
+    // message_create puede llegar antes de que sendMessage resuelva: esperar a los envíos
+    // de la API en curso para que ya estén registrados en messageStatusService
+    if (session.pendingApiSends.size > 0) {
+      await Promise.allSettled(Array.from(session.pendingApiSends));
+    }
+
+    const tracked = messageStatusService.getStatus(sessionId, message.id._serialized);
+    if (tracked && tracked.source === 'api') {
+      logger.debug(`Mensaje ${message.id._serialized} enviado por la API, no se reenvía como saliente`);
+      return;
+    }
+
+    await this.handleMessage(sessionId, message);
+  }
+
+  /**
+   * Procesa un mensaje entrante (o saliente desde el teléfono, si llega por handleOutgoingMessage):
+   * filtros, historial y envío al backend
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} message - Mensaje de whatsapp-web.js
+   * @param {Object} options - { backfill } si el mensaje se recupera tras una desconexión
+   */
+  async handleMessage(sessionId, message, options = {}) {
     const session = this.clients.get(sessionId);
     if (!session || !session.isListening) return;
 
@@ -424,131 +624,77 @@ class WhatsAppService {
         hasMedia: message.hasMedia
       });
 
-      // Extraer información relevante del mensaje
-      const chatId = message.from;
-      const isGroupMessage = chatId.endsWith('@g.us');
-      const isBroadcast = chatId === 'status@broadcast' || message.isStatus;
-      
-      // Aplicar filtros configurados (mantener lógica existente)
-      const filters = config.messageFilters;
-      
-      if (isBroadcast && filters.ignoreBroadcast) {
-        logger.debug(`Ignorando mensaje de status@broadcast en sesión ${sessionId}`);
-        return;
-      }
-      
-      if (isGroupMessage && filters.ignoreGroups) {
-        logger.debug(`Ignorando mensaje de grupo en sesión ${sessionId}`);
+      // El mismo mensaje puede llegar dos veces (reconexiones, ecos, recuperación)
+      if (!inboundDedupService.markSeen(sessionId, message.id._serialized)) {
+        logger.debug(`Mensaje duplicado ignorado en sesión ${sessionId}`, {
+          messageId: message.id._serialized,
+          backfill: Boolean(options.backfill)
+        });
         return;
       }
-      
-      if (!isGroupMessage && filters.ignoreNonGroups) {
-        logger.debug(`Ignorando mensaje privado en sesión ${sessionId}`);
+
+      // Extraer información relevante del mensaje
+      const direction = message.fromMe ? 'outbound' : 'inbound';
+      const chatId = message.fromMe ? message.to : message.from;
+
+      // Aplicar reglas de la sesión (o los filtros globales si no tiene reglas propias)
+      const filterResult = messageFilterService.evaluate(sessionId, messageFilterService.toFilterInput(message));
+      if (!filterResult.allowed) {
+        logger.debug(`Ignorando mensaje de ${chatId} en sesión ${sessionId}: ${filterResult.reason}`, {
+          ruleId: filterResult.ruleId,
+          source: filterResult.source
+        });
         return;
       }
-      
-      if (isGroupMessage && filters.allowedGroups.length > 0 && !filters.allowedGroups.includes(chatId)) {
-        logger.debug(`Ignorando mensaje de grupo no permitido ${chatId} en sesión ${sessionId}`);
+
+      if (!this.isChatListened(session, chatId)) {
+        logger.debug(`Ignorando mensaje de chat no escuchado ${chatId} en sesión ${sessionId} (modo ${session.chatFilterMode})`);
         return;
       }
       
-      const senderInGroup = message.author || chatId;
-      const senderToCheck = isGroupMessage ? senderInGroup : chatId;
-      
-      if (filters.allowedContacts.length > 0 && !filters.allowedContacts.includes(senderToCheck)) {
-        logger.debug(`Ignorando mensaje de contacto no permitido ${senderToCheck} en sesión ${sessionId}`);
-        return;
+      const messageData = await this.buildMessageData(sessionId, session.client, message);
+      messageData.direction = direction;
+      if (options.backfill) {
+        messageData.isBackfill = true;
       }
-      
-      // Extraer datos del mensaje
-      const messageData = {
-        id: message.id._serialized,
-        from: message.from,
-        to: message.to,
-        body: message.body,
-        timestamp: message.timestamp,
-        hasMedia: message.hasMedia,
-        type: message.type,
-        isForwarded: message.isForwarded,
-        isStatus: message.isStatus,
-        isGroupMessage,
-        sessionId
-      };
 
-      // Agregar metadatos adicionales si están disponibles
-      if (message.author) messageData.author = message.author;
-      if (message.deviceType) messageData.deviceType = message.deviceType;
-      
-      // Obtener información del contacto (solo para mensajes privados)
-      if (!isGroupMessage) {
-        try {
-          const contactInfo = await contactsManager.getContactInfo(session.client, chatId);
-          if (contactInfo) {
-            messageData.contact = contactInfo;
-            messageData.contactName = contactInfo.savedName || contactInfo.pushname || contactInfo.number || 'Desconocido';
-          }
-        } catch (contactError) {
-          logger.debug(`No se pudo obtener información del contacto: ${contactError.message}`);
-        }
-      }
-      
-      // Si es un mensaje de grupo, obtener información detallada
-      if (isGroupMessage) {
-        try {
-          const groupInfo = await contactsManager.getGroupInfo(session.client, chatId);
-          if (groupInfo) {
-            messageData.group = groupInfo;
-            messageData.groupName = groupInfo.name || 'Grupo sin nombre';
-          }
-          
-          if (message.author) {
-            const authorInfo = await contactsManager.getContactInfo(session.client, message.author);
-            if (authorInfo) {
-              messageData.authorContact = authorInfo;
-              messageData.authorName = authorInfo.savedName || authorInfo.pushname || authorInfo.number || 'Desconocido';
-            }
-          }
-        } catch (groupError) {
-          logger.debug(`No se pudo obtener información completa del grupo: ${groupError.message}`);
-        }
-      }
-      
-      // Si el mensaje tiene medios, procesarlos
-      if (message.hasMedia) {
-        logger.info(`Mensaje con medios detectado en chatId ${chatId} de tipo ${message.type}`);
-        try {
-          const media = await mediaHandler.processMessageMedia(message);
-          if (media) {
-            messageData.media = media;
-            logger.info(`Medio procesado correctamente: ${media.mediaType} (${media.mimeType})`);
-          }
-        } catch (mediaError) {
-          logger.error(`Error al procesar medio del mensaje: ${mediaError.message}`);
-          messageData.mediaError = mediaError.message;
-        }
-      }
-      
+      messageStoreService.record(sessionId, messageData, direction);
+
       // ✅ ENVÍO INDIVIDUAL NO BLOQUEANTE AL BACKEND
       setImmediate(async () => {
         try {
           const success = await backendService.sendMessageToBackend(messageData);
+
+          // La entrega ya está en el backend o en el outbox en disco: la marca puede avanzar.
+          // La recuperación solo busca entrantes, así que los salientes no la mueven
+          if (direction === 'inbound') {
+            chatWatermarkService.update(sessionId, chatId, {
+              messageId: messageData.id,
+              timestamp: messageData.timestamp
+            });
+          }
+
           if (success) {
             logger.info(`Mensaje enviado al backend correctamente`, {
               messageId: messageData.id,
-              chatId: messageData.from,
+              chatId,
               sessionId
             });
           } else {
-            logger.warn(`No se pudo enviar mensaje al backend`, {
+            logger.warn(`Mensaje no entregado al backend, queda en el outbox para reintento`, {
               messageId: messageData.id,
-              chatId: messageData.from,
+              chatId,
               sessionId
             });
           }
         } catch (error) {
+          // No quedó guardado en ningún sitio: sin marca ni registro de duplicado, la
+          // recuperación tras una desconexión lo volverá a procesar
+          inboundDedupService.forget(sessionId, messageData.id);
+
           logger.error(`Error enviando mensaje al backend`, {
             messageId: messageData.id,
-            chatId: messageData.from,
+            chatId,
             sessionId,
             errorMessage: error.message
           });
@@ -556,6 +702,11 @@ class WhatsAppService {
       });
 
     } catch (error) {
+      // Permitir que la recuperación tras una desconexión vuelva a intentarlo
+      if (message?.id?._serialized) {
+        inboundDedupService.forget(sessionId, message.id._serialized);
+      }
+
       logger.error(`Error al procesar mensaje en sesión ${sessionId}:`, {
         errorMessage: error.message,
         sessionId,
@@ -565,6 +716,487 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Normaliza un mensaje de whatsapp-web.js al formato que se envía al backend,
+   * con datos del contacto o grupo y, opcionalmente, el medio descargado
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} client - Cliente de WhatsApp de la sesión
+   * @param {Object} message - Mensaje de whatsapp-web.js
+   * @param {Object} options - { includeMedia } (por defecto true)
+   * @returns {Promise<Object>} - Datos del mensaje
+   */
+  async buildMessageData(sessionId, client, message, options = {}) {
+    const { includeMedia = true } = options;
+    const chatId = message.fromMe ? message.to : message.from;
+    const isGroupMessage = chatId.endsWith('@g.us');
+
+    const messageData = {
+      id: message.id._serialized,
+      chatId,
+      from: message.from,
+      to: message.to,
+      fromMe: Boolean(message.fromMe),
+      body: message.body,
+      timestamp: message.timestamp,
+      hasMedia: message.hasMedia,
+      type: message.type,
+      isForwarded: message.isForwarded,
+      isStatus: message.isStatus,
+      isGroupMessage,
+      sessionId
+    };
+
+    // Agregar metadatos adicionales si están disponibles
+    if (message.author) messageData.author = message.author;
+    if (message.deviceType) messageData.deviceType = message.deviceType;
+    
+    // Obtener información del contacto (solo para mensajes privados)
+    if (!isGroupMessage) {
+      try {
+        const contactInfo = await contactsManager.getContactInfo(sessionId, client, chatId);
+        if (contactInfo) {
+          messageData.contact = contactInfo;
+          messageData.contactName = contactInfo.savedName || contactInfo.pushname || contactInfo.number || 'Desconocido';
+        }
+      } catch (contactError) {
+        logger.debug(`No se pudo obtener información del contacto: ${contactError.message}`);
+      }
+    }
+    
+    // Si es un mensaje de grupo, obtener información detallada
+    if (isGroupMessage) {
+      try {
+        const groupInfo = await contactsManager.getGroupInfo(sessionId, client, chatId);
+        if (groupInfo) {
+          messageData.group = groupInfo;
+          messageData.groupName = groupInfo.name || 'Grupo sin nombre';
+        }
+        
+        if (message.author) {
+          const authorInfo = await contactsManager.getContactInfo(sessionId, client, message.author);
+          if (authorInfo) {
+            messageData.authorContact = authorInfo;
+            messageData.authorName = authorInfo.savedName || authorInfo.pushname || authorInfo.number || 'Desconocido';
+          }
+        }
+      } catch (groupError) {
+        logger.debug(`No se pudo obtener información completa del grupo: ${groupError.message}`);
+      }
+    }
+    
+    // Si el mensaje tiene medios, procesarlos
+    if (includeMedia && message.hasMedia) {
+      logger.info(`Mensaje con medios detectado en chatId ${chatId} de tipo ${message.type}`);
+      try {
+        const media = await mediaHandler.processMessageMedia(message, { sessionId });
+        if (media) {
+          messageData.media = media;
+          logger.info(`Medio procesado correctamente: ${media.mediaType} (${media.mimeType})`);
+        }
+      } catch (mediaError) {
+        logger.error(`Error al procesar medio del mensaje: ${mediaError.message}`);
+        messageData.mediaError = mediaError.message;
+      }
+    }
+
+    return messageData;
+  }
+
+  /**
+   * Normaliza un chatId aceptando números sin sufijo (se asume chat individual)
+   * @param {string} chatId - ID del chat o número de teléfono
+   * @returns {string} - ID de chat serializado
+   */
+  normalizeChatId(chatId) {
+    if (!chatId || typeof chatId !== 'string') {
+      throw new Error('chatId inválido');
+    }
+
+    const trimmed = chatId.trim();
+    if (trimmed.includes('@')) {
+      return trimmed;
+    }
+
+    const digits = trimmed.replace(/\D/g, '');
+    if (!digits) {
+      throw new Error('chatId inválido');
+    }
+
+    return `${digits}@c.us`;
+  }
+
+  /**
+   * Obtiene el cliente de una sesión verificando que esté conectado
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Promise<Object>} - Cliente de WhatsApp conectado
+   */
+  async getConnectedClient(sessionId) {
+    const session = this.clients.get(sessionId);
+    if (!session || !session.client) {
+      throw new Error(`Sesión ${sessionId} no encontrada o no inicializada`);
+    }
+
+    const state = await session.client.getState();
+    if (state !== 'CONNECTED') {
+      throw new Error(`Cliente WhatsApp no está conectado. Estado actual: ${state}`);
+    }
+
+    return session.client;
+  }
+
+  /**
+   * Envía contenido (texto o MessageMedia) a un chat usando el cliente de la sesión
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat destino
+   * @param {string|Object} content - Texto o MessageMedia a enviar
+   * @param {Object} sendOptions - Opciones de whatsapp-web.js para sendMessage
+   * @returns {Promise<Object>} - ID del mensaje enviado y estado de ack
+   */
+  async sendContent(sessionId, chatId, content, sendOptions = {}) {
+    const client = await this.getConnectedClient(sessionId);
+    const targetChatId = this.normalizeChatId(chatId);
+    const session = this.clients.get(sessionId);
+
+    // handleOutgoingMessage espera a los envíos en curso para no reenviarlos como salientes.
+    // El envío se registra antes de llamar a sendMessage, por si message_create llega enseguida
+    const sending = Promise.resolve().then(() => client.sendMessage(targetChatId, content, sendOptions));
+    session.pendingApiSends.add(sending);
+
+    let sentMessage;
+    try {
+      sentMessage = await sending;
+    } finally {
+      session.pendingApiSends.delete(sending);
+    }
+    this.updateSessionActivity(sessionId);
+
+    messageStatusService.trackOutbound(sessionId, {
+      messageId: sentMessage.id._serialized,
+      chatId: targetChatId,
+      ack: sentMessage.ack,
+      timestamp: sentMessage.timestamp,
+      source: 'api'
+    });
+
+    messageStoreService.record(sessionId, {
+      id: sentMessage.id._serialized,
+      chatId: targetChatId,
+      from: sentMessage.from,
+      to: targetChatId,
+      body: sentMessage.body,
+      type: sentMessage.type,
+      timestamp: sentMessage.timestamp,
+      hasMedia: sentMessage.hasMedia,
+      isGroupMessage: targetChatId.endsWith('@g.us')
+    }, 'outbound');
+
+    logger.info(`Mensaje enviado a ${targetChatId} en sesión ${sessionId}`, {
+      messageId: sentMessage.id._serialized,
+      type: sentMessage.type,
+      ack: sentMessage.ack
+    });
+
+    return {
+      messageId: sentMessage.id._serialized,
+      chatId: targetChatId,
+      type: sentMessage.type,
+      ack: sentMessage.ack,
+      timestamp: sentMessage.timestamp
+    };
+  }
+
+  /**
+   * Envía un mensaje de texto a un chat
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat destino
+   * @param {string} text - Texto del mensaje
+   * @param {Object} options - Opciones de envío (quotedMessageId, mentions, linkPreview)
+   * @returns {Promise<Object>} - ID del mensaje enviado y estado de ack
+   */
+  async sendTextMessage(sessionId, chatId, text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      throw new Error('El texto del mensaje es requerido');
+    }
+
+    logger.info(`Enviando mensaje de texto a ${chatId} en sesión ${sessionId}`);
+
+    return this.sendContent(sessionId, chatId, text, this.buildCommonSendOptions(options));
+  }
+
+  /**
+   * Envía un medio (imagen, video, documento, sticker o nota de voz) a un chat
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat destino
+   * @param {Object} media - MessageMedia construido por whatsappMediaHandler
+   * @param {Object} options - { type, caption, quotedMessageId, mentions }
+   * @returns {Promise<Object>} - ID del mensaje enviado y estado de ack
+   */
+  async sendMediaMessage(sessionId, chatId, media, options = {}) {
+    if (!media) {
+      throw new Error('El medio a enviar es requerido');
+    }
+
+    const sendOptions = {
+      ...this.buildCommonSendOptions(options),
+      ...mediaHandler.getSendOptions(options.type, { caption: options.caption })
+    };
+
+    logger.info(`Enviando medio ${options.type || 'auto'} (${media.mimetype}) a ${chatId} en sesión ${sessionId}`);
+
+    return this.sendContent(sessionId, chatId, media, sendOptions);
+  }
+
+  /**
+   * Construye las opciones de envío comunes a texto y medios
+   * @param {Object} options - { quotedMessageId, mentions, linkPreview }
+   * @returns {Object} - Opciones para client.sendMessage
+   */
+  buildCommonSendOptions(options = {}) {
+    const sendOptions = {};
+    if (options.quotedMessageId) sendOptions.quotedMessageId = options.quotedMessageId;
+    if (Array.isArray(options.mentions) && options.mentions.length > 0) sendOptions.mentions = options.mentions;
+    if (options.linkPreview === false) sendOptions.linkPreview = false;
+    return sendOptions;
+  }
+
+  /**
+   * Procesa un cambio de ack de un mensaje saliente y lo reenvía al backend
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} message - Mensaje de WhatsApp
+   * @param {number} ack - Nuevo valor de ack
+   */
+  handleMessageAck(sessionId, message, ack) {
+    try {
+      if (!message || !message.fromMe) return;
+
+      const record = messageStatusService.updateAck(sessionId, {
+        messageId: message.id._serialized,
+        chatId: message.to,
+        ack
+      });
+
+      // Sin avance de estado no hay nada que notificar
+      if (!record) return;
+
+      logger.debug(`Ack ${record.status} para mensaje ${record.messageId} en sesión ${sessionId}`);
+
+      socketService.emitSessionStatus(sessionId, 'message_ack', {
+        messageId: record.messageId,
+        chatId: record.chatId,
+        ack: record.ack,
+        ackStatus: record.status
+      });
+
+      this.notifySessionEvent(sessionId, 'message_ack', {
+        messageId: record.messageId,
+        chatId: record.chatId,
+        ack: record.ack,
+        status: record.status,
+        source: record.source,
+        sentAt: record.sentAt,
+        updatedAt: record.updatedAt
+      });
+    } catch (error) {
+      logger.error(`Error al procesar ack en sesión ${sessionId}:`, {
+        errorMessage: error.message,
+        messageId: message?.id?._serialized || 'unknown'
+      });
+    }
+  }
+
+  /**
+   * Reenvía al backend un cambio sobre un mensaje existente, con los mismos criterios de
+   * escucha que los mensajes: chats escuchados y, si es propio, solo con captura de salientes
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} eventType - message_revoke, message_edit o message_reaction
+   * @param {Object} data - Datos del evento, con chatId, fromMe y messageId del mensaje original
+   */
+  forwardMessageUpdate(sessionId, eventType, data) {
+    const session = this.clients.get(sessionId);
+    if (!session || !session.isListening) return;
+
+    if (data.fromMe && !session.captureOutgoing) return;
+
+    if (!this.isChatListened(session, data.chatId)) {
+      logger.debug(`Ignorando ${eventType} de chat no escuchado ${data.chatId} en sesión ${sessionId}`);
+      return;
+    }
+
+    logger.debug(`Evento ${eventType} para mensaje ${data.messageId} en sesión ${sessionId}`);
+    this.notifySessionEvent(sessionId, eventType, data);
+  }
+
+  /**
+   * Mensaje borrado para todos. whatsapp-web.js reutiliza el ID del mensaje original;
+   * el contenido anterior solo se conoce si el mensaje seguía en memoria
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} message - Mensaje ya revocado
+   * @param {Object|null} revokedMessage - Mensaje antes del borrado, si está disponible
+   */
+  handleMessageRevoke(sessionId, message, revokedMessage) {
+    try {
+      this.forwardMessageUpdate(sessionId, 'message_revoke', {
+        messageId: message.id._serialized,
+        chatId: message.fromMe ? message.to : message.from,
+        fromMe: Boolean(message.fromMe),
+        author: message.author || null,
+        originalBody: revokedMessage ? revokedMessage.body : null,
+        originalType: revokedMessage ? revokedMessage.type : null,
+        originalTimestamp: revokedMessage ? revokedMessage.timestamp : null,
+        revokedAt: message.timestamp || Math.floor(Date.now() / 1000)
+      });
+    } catch (error) {
+      logger.error(`Error al procesar mensaje borrado en sesión ${sessionId}:`, {
+        errorMessage: error.message,
+        messageId: message?.id?._serialized || 'unknown'
+      });
+    }
+  }
+
+  /**
+   * Mensaje editado
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} message - Mensaje con el texto nuevo
+   * @param {string} newBody - Texto nuevo
+   * @param {string} previousBody - Texto anterior
+   */
+  handleMessageEdit(sessionId, message, newBody, previousBody) {
+    try {
+      this.forwardMessageUpdate(sessionId, 'message_edit', {
+        messageId: message.id._serialized,
+        chatId: message.fromMe ? message.to : message.from,
+        fromMe: Boolean(message.fromMe),
+        author: message.author || null,
+        body: newBody,
+        previousBody: previousBody || null,
+        editedAt: Math.floor(Date.now() / 1000)
+      });
+    } catch (error) {
+      logger.error(`Error al procesar mensaje editado en sesión ${sessionId}:`, {
+        errorMessage: error.message,
+        messageId: message?.id?._serialized || 'unknown'
+      });
+    }
+  }
+
+  /**
+   * Reacción añadida o quitada (emoji vacío) sobre un mensaje
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} reaction - Reaction de whatsapp-web.js
+   */
+  handleMessageReaction(sessionId, reaction) {
+    try {
+      this.forwardMessageUpdate(sessionId, 'message_reaction', {
+        messageId: reaction.msgId._serialized,
+        reactionId: reaction.id._serialized,
+        chatId: reaction.id.remote,
+        fromMe: Boolean(reaction.id.fromMe),
+        senderId: reaction.senderId,
+        reaction: reaction.reaction || '',
+        removed: !reaction.reaction,
+        reactedAt: reaction.timestamp
+      });
+    } catch (error) {
+      logger.error(`Error al procesar reacción en sesión ${sessionId}:`, {
+        errorMessage: error.message,
+        reactionId: reaction?.id?._serialized || 'unknown'
+      });
+    }
+  }
+
+  /**
+   * Notificación de grupo: descarta la información en caché del grupo y reenvía el cambio
+   * con los mismos criterios de escucha que los mensajes
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} eventType - group_join, group_leave, group_admin_changed o group_update
+   * @param {Object} notification - GroupNotification de whatsapp-web.js
+   */
+  handleGroupNotification(sessionId, eventType, notification) {
+    try {
+      const groupId = notification.chatId || notification.id.remote;
+      contactsManager.invalidateGroup(sessionId, groupId);
+
+      const session = this.clients.get(sessionId);
+      if (!session || !session.isListening) return;
+
+      if (!this.isChatListened(session, groupId)) {
+        logger.debug(`Ignorando ${eventType} de grupo no escuchado ${groupId} en sesión ${sessionId}`);
+        return;
+      }
+
+      logger.debug(`Evento ${eventType} (${notification.type}) en grupo ${groupId} de sesión ${sessionId}`);
+      this.notifySessionEvent(sessionId, eventType, {
+        notificationId: notification.id._serialized,
+        groupId,
+        action: notification.type, // add, invite, remove, leave, promote, demote, subject, description, picture, announce, restrict...
+        participants: notification.recipientIds || [],
+        author: notification.author || null,
+        fromMe: Boolean(notification.id.fromMe),
+        body: notification.body || null, // Nuevo asunto o descripción en group_update
+        timestamp: notification.timestamp || Math.floor(Date.now() / 1000)
+      });
+    } catch (error) {
+      logger.error(`Error al procesar ${eventType} en sesión ${sessionId}:`, {
+        errorMessage: error.message,
+        notificationId: notification?.id?._serialized || 'unknown'
+      });
+    }
+  }
+
+  /**
+   * Envía un evento de sesión a sus webhooks (o al backend global) sin bloquear al llamador
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} eventType - Tipo de evento (qr, session_status, message_ack...)
+   * @param {Object} data - Datos del evento
+   */
+  notifySessionEvent(sessionId, eventType, data) {
+    setImmediate(() => {
+      backendService.sendEventToBackend(eventType, sessionId, data).catch(error => {
+        logger.error(`Error enviando evento ${eventType} al backend`, {
+          sessionId,
+          errorMessage: error.message
+        });
+      });
+    });
+  }
+
+  /**
+   * Obtiene el estado de entrega/lectura de un mensaje saliente
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} messageId - ID serializado del mensaje
+   * @returns {Promise<Object|null>} - Estado del mensaje o null si no se conoce
+   */
+  async getMessageStatus(sessionId, messageId) {
+    const tracked = messageStatusService.getStatus(sessionId, messageId);
+    if (tracked) {
+      return tracked;
+    }
+
+    // Mensaje no seguido (ej: anterior al arranque): consultar a WhatsApp si hay conexión
+    const session = this.clients.get(sessionId);
+    if (!session || !session.isConnected) {
+      return null;
+    }
+
+    const client = await this.getConnectedClient(sessionId);
+    const message = await client.getMessageById(messageId);
+    if (!message) {
+      return null;
+    }
+
+    return {
+      messageId,
+      sessionId,
+      chatId: message.fromMe ? message.to : message.from,
+      source: 'whatsapp',
+      ack: message.ack,
+      status: messageStatusService.getAckName(message.ack),
+      sentAt: message.timestamp ? message.timestamp * 1000 : null,
+      updatedAt: Date.now(),
+      history: []
+    };
+  }
+
   async checkSessionExists(sessionId) {
     return this.clients.has(sessionId);
   }
@@ -603,8 +1235,11 @@ class WhatsAppService {
         delete this.restorationPromises[sessionId];
       }
 
-      if (session.isListening) {
-        this.stopListening(sessionId);
+      // No se usa stopListening para no borrar el modo escucha del registro:
+      // si la sesión se elimina, el controlador borra su registro completo
+      if (session.isListening && session.client) {
+        this.detachListeningHandlers(session.client);
+        session.isListening = false;
       }
 
       if (session.client) {
@@ -662,6 +1297,8 @@ class WhatsAppService {
       clientInfo,
       socketConnections: socketService.getConnectionCount(sessionId),
       chatFiltersCount: session.chatFilters ? session.chatFilters.size : 0,
+      chatFilterMode: session.chatFilterMode,
+      captureOutgoing: session.captureOutgoing,
       isRestoring: this.isRestoring(sessionId),
       readyAt: session.readyAt
     };
@@ -745,8 +1382,11 @@ class WhatsAppService {
               name: chat.name || contact.name || contact.pushname || chat.id.user || 'Sin nombre',
               isGroup: chat.isGroup,
               isMuted: chat.isMuted || false,
+              isArchived: chat.archived || false,
+              isPinned: chat.pinned || false,
               unreadCount: chat.unreadCount || 0,
               timestamp: chat.timestamp || Date.now(),
+              isListening: this.isChatListened(session, chat.id._serialized),
               // Información del último mensaje
               lastMessage: lastMessage ? {
                 body: lastMessage.body || '[Media]',
@@ -844,6 +1484,84 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Obtiene los últimos mensajes de un chat directamente de WhatsApp
+   * @param {string} sessionId - ID de la sesión
+   * @param {string} chatId - ID del chat
+   * @param {Object} options - { limit, before, includeMedia }. before es un ID de mensaje
+   *   (se devuelven los anteriores a él) o un timestamp unix
+   * @returns {Promise<Object>} - { messages (del más antiguo al más reciente), hasMore, nextBefore }
+   */
+  async fetchChatMessages(sessionId, chatId, options = {}) {
+    const { limit = 20, before = null, includeMedia = false } = options;
+    const client = await this.getConnectedClient(sessionId);
+    const targetChatId = this.normalizeChatId(chatId);
+
+    let chat;
+    try {
+      chat = await client.getChatById(targetChatId);
+    } catch (error) {
+      chat = null;
+    }
+    if (!chat) {
+      throw new Error(`Chat ${targetChatId} no encontrado en la sesión ${sessionId}`);
+    }
+
+    const beforeTimestamp = before && /^\d+$/.test(String(before)) ? parseInt(before, 10) : null;
+    const beforeId = before && beforeTimestamp === null ? before : null;
+
+    // fetchMessages solo trae los N últimos: para paginar hacia atrás se pide una ventana
+    // cada vez mayor hasta cubrir los mensajes anteriores a "before"
+    let fetchLimit = before ? limit * 2 : limit;
+    let fetched = [];
+    let candidates = [];
+    let exhausted = false;
+    let beforeFound = false;
+
+    while (true) {
+      fetched = await chat.fetchMessages({ limit: fetchLimit });
+      exhausted = fetched.length < fetchLimit;
+
+      if (beforeId) {
+        const index = fetched.findIndex(message => message.id._serialized === beforeId);
+        beforeFound = index !== -1;
+        candidates = beforeFound ? fetched.slice(0, index) : [];
+      } else if (beforeTimestamp !== null) {
+        candidates = fetched.filter(message => message.timestamp < beforeTimestamp);
+      } else {
+        candidates = fetched;
+      }
+
+      if (candidates.length >= limit || exhausted || fetchLimit >= MAX_HISTORY_FETCH) {
+        break;
+      }
+      fetchLimit = Math.min(fetchLimit * 2, MAX_HISTORY_FETCH);
+    }
+
+    if (beforeId && !beforeFound) {
+      throw new Error(`Mensaje ${beforeId} no encontrado en los últimos ${fetchLimit} mensajes del chat ${targetChatId}`);
+    }
+
+    const page = candidates.slice(-limit);
+    const messages = [];
+    for (const message of page) {
+      const messageData = await this.buildMessageData(sessionId, client, message, { includeMedia });
+      if (messageData.media) {
+        messageData.media = mediaStorageService.withSignedUrl(messageData.media);
+      }
+      messages.push(messageData);
+    }
+
+    this.updateSessionActivity(sessionId);
+
+    return {
+      chatId: targetChatId,
+      messages,
+      hasMore: candidates.length > limit || !exhausted,
+      nextBefore: messages.length > 0 ? messages[0].id : null
+    };
+  }
+
     /**
    * Obtiene chats básicos con fotos de perfil (versión optimizada)
    * @param {string} sessionId - ID de la sesión
@@ -996,8 +1714,9 @@ class WhatsAppService {
         session.chatFilters = new Map();
       }
       
-      // Actualizar estado en memoria
+      // Actualizar estado en memoria y en el registro persistente
       session.chatFilters.set(chatId, isListening);
+      sessionRegistry.setChatFilter(sessionId, chatId, isListening);
       
       // Actualizar estado en el servicio de chats
       await chatService.updateChatListeningStatus(sessionId, chatId, isListening);
@@ -1020,6 +1739,126 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Indica si los mensajes de un chat deben procesarse según el modo y las reglas de la sesión
+   * @param {Object} session - Sesión en memoria
+   * @param {string} chatId - ID del chat
+   * @returns {boolean}
+   */
+  isChatListened(session, chatId) {
+    const rule = session.chatFilters ? session.chatFilters.get(chatId) : undefined;
+
+    switch (session.chatFilterMode) {
+      case 'allowlist':
+        return rule === true;
+      case 'listen-all':
+        return true;
+      default:
+        // denylist (modo por defecto)
+        return rule !== false;
+    }
+  }
+
+  /**
+   * Obtiene el modo de filtrado y las reglas por chat de una sesión
+   * @param {string} sessionId - ID de la sesión
+   * @returns {Object} - { sessionId, mode, modes, chats }
+   */
+  getChatFilters(sessionId) {
+    const session = this.clients.get(sessionId);
+    if (!session) {
+      throw new Error(`Sesión ${sessionId} no encontrada`);
+    }
+
+    const chats = Array.from((session.chatFilters || new Map()).entries())
+      .map(([chatId, isListening]) => ({ chatId, isListening }));
+
+    return {
+      sessionId,
+      mode: session.chatFilterMode,
+      modes: CHAT_FILTER_MODES,
+      chats
+    };
+  }
+
+  /**
+   * Cambia el modo de filtrado y, opcionalmente, reemplaza todas las reglas por chat
+   * @param {string} sessionId - ID de la sesión
+   * @param {Object} data - { mode, chats } con chats como objeto chatId -> boolean
+   * @returns {Object} - Filtros actualizados
+   */
+  setChatFilters(sessionId, data = {}) {
+    const session = this.clients.get(sessionId);
+    if (!session) {
+      throw new Error(`Sesión ${sessionId} no encontrada`);
+    }
+
+    const mode = data.mode || session.chatFilterMode;
+    if (!CHAT_FILTER_MODES.includes(mode)) {
+      throw new Error(`Modo de filtrado inválido: ${mode}. Permitidos: ${CHAT_FILTER_MODES.join(', ')}`);
+    }
+
+    let chats = null;
+    if (data.chats !== undefined) {
+      if (!data.chats || typeof data.chats !== 'object' || Array.isArray(data.chats)) {
+        throw new Error('chats inválido, debe ser un objeto chatId -> boolean');
+      }
+
+      const invalid = Object.entries(data.chats).filter(([, isListening]) => typeof isListening !== 'boolean');
+      if (invalid.length > 0) {
+        throw new Error(`Valores inválidos para los chats: ${invalid.map(([chatId]) => chatId).join(', ')}`);
+      }
+
+      chats = data.chats;
+      session.chatFilters = new Map(Object.entries(chats));
+    }
+
+    session.chatFilterMode = mode;
+    sessionRegistry.setChatFilters(sessionId, mode, chats);
+
+    logger.info(`Filtros de chat actualizados para sesión ${sessionId}: modo ${mode}`, {
+      rules: session.chatFilters ? session.chatFilters.size : 0
+    });
+
+    return this.getChatFilters(sessionId);
+  }
+
+  /**
+   * Activa o desactiva el reenvío al backend de los mensajes escritos desde el teléfono
+   * @param {string} sessionId - ID de la sesión
+   * @param {boolean} enabled - Si se capturan los salientes
+   * @returns {Object} - { sessionId, captureOutgoing, isListening }
+   */
+  setOutgoingCapture(sessionId, enabled) {
+    const session = this.clients.get(sessionId);
+    if (!session) {
+      throw new Error(`Sesión ${sessionId} no encontrada`);
+    }
+
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled inválido, debe ser booleano');
+    }
+
+    session.captureOutgoing = enabled;
+    sessionRegistry.setCaptureOutgoing(sessionId, enabled);
+    logger.info(`Captura de mensajes salientes ${enabled ? 'activada' : 'desactivada'} para sesión ${sessionId}`);
+
+    return this.getOutgoingCapture(sessionId);
+  }
+
+  getOutgoingCapture(sessionId) {
+    const session = this.clients.get(sessionId);
+    if (!session) {
+      throw new Error(`Sesión ${sessionId} no encontrada`);
+    }
+
+    return {
+      sessionId,
+      captureOutgoing: session.captureOutgoing,
+      isListening: session.isListening
+    };
+  }
+
   // ✅ MÉTODOS DE RECONEXIÓN: Mantenidos sin cambios
   async reconnectSession(sessionId) {
     const session = this.clients.get(sessionId);
@@ -1190,7 +2029,7 @@ class WhatsAppService {
             reconnectionAttempts: session.reconnectionAttempts || 0
           });
 
-           // Limpiar la sesión
+           // Limpiar la sesión (solo el cliente: su configuración se conserva para reconectarla)
           try {
             await this.cleanupSession(sessionId);
             results.cleanedSessions.push(sessionId);
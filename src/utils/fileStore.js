@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Lee un archivo JSON devolviendo un valor por defecto si no existe o está corrupto
+ * @param {string} filePath - Ruta del archivo
+ * @param {*} defaultValue - Valor a devolver si no se puede leer
+ * @returns {*} - Contenido parseado
+ */
+const readJson = (filePath, defaultValue = null) => {
+  if (!fs.existsSync(filePath)) {
+    return defaultValue;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.error(`Error al leer archivo JSON ${filePath}:`, {
+      errorMessage: error.message
+    });
+    return defaultValue;
+  }
+};
+
+/**
+ * Escribe un archivo JSON de forma atómica (archivo temporal + rename)
+ * para no dejar archivos a medio escribir si el proceso se detiene
+ * @param {string} filePath - Ruta del archivo
+ * @param {*} data - Datos a serializar
+ */
+const writeJson = (filePath, data) => {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Crea un directorio si no existe
+ * @param {string} dirPath - Ruta del directorio
+ * @returns {string} - La misma ruta
+ */
+const ensureDir = (dirPath) => {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+  return dirPath;
+};
+
+module.exports = {
+  readJson,
+  writeJson,
+  ensureDir
+};
@@ -0,0 +1,122 @@
+/**
+ * Caché en memoria con máximo de entradas (descarta la usada hace más tiempo) y caducidad.
+ * Map conserva el orden de inserción: cada lectura vuelve a insertar la clave al final,
+ * así que la primera clave es siempre la menos usada.
+ */
+class LruCache {
+  /**
+   * @param {Object} options - { maxEntries, ttlMs }
+   */
+  constructor({ maxEntries, ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // clave -> { value, cachedAt }
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return now - entry.cachedAt > this.ttlMs;
+  }
+
+  /**
+   * Obtiene un valor vigente y lo marca como usado
+   * @param {string} key - Clave
+   * @returns {*} - Valor, o undefined si no está o caducó
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      this.expirations++;
+      this.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Guarda un valor y descarta los menos usados si se supera el máximo
+   * @param {string} key - Clave
+   * @param {*} value - Valor
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, cachedAt: Date.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Elimina las claves que empiezan por un prefijo
+   * @param {string} prefix - Prefijo de las claves
+   * @returns {number} - Entradas eliminadas
+   */
+  deleteByPrefix(prefix) {
+    const keys = Array.from(this.entries.keys()).filter(key => key.startsWith(prefix));
+    keys.forEach(key => this.entries.delete(key));
+    return keys.length;
+  }
+
+  /**
+   * Elimina las entradas caducadas
+   * @returns {number} - Entradas eliminadas
+   */
+  pruneExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    this.entries.forEach((entry, key) => {
+      if (this.isExpired(entry, now)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+
+    this.expirations += removed;
+    return removed;
+  }
+
+  /**
+   * Estadísticas de uso
+   * @returns {Object} - { entries, maxEntries, hits, misses, hitRate, evictions, expirations }
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null,
+      evictions: this.evictions,
+      expirations: this.expirations
+    };
+  }
+}
+
+module.exports = LruCache;
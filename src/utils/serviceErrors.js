@@ -0,0 +1,40 @@
+/**
+ * Traduce errores lanzados por los servicios a códigos HTTP.
+ * Los servicios lanzan Error con mensajes descriptivos, así que la clasificación
+ * se hace por el contenido del mensaje (igual que en la ruta de chats).
+ * @param {Error} error - Error lanzado por el servicio
+ * @returns {Object} - { statusCode, code }
+ */
+const resolveServiceError = (error) => {
+  const message = error.message || '';
+
+  if (message.includes('no encontrada')) {
+    return { statusCode: 404, code: 'SESSION_NOT_FOUND' };
+  }
+
+  if (message.includes('no encontrado')) {
+    return { statusCode: 404, code: 'NOT_FOUND' };
+  }
+
+  if (message.includes('no está conectado')) {
+    return { statusCode: 400, code: 'SESSION_NOT_CONNECTED' };
+  }
+
+  if (message.includes('excede el tamaño')) {
+    return { statusCode: 413, code: 'MEDIA_TOO_LARGE' };
+  }
+
+  if (message.startsWith('No se puede') || message.startsWith('Solo se pueden')) {
+    return { statusCode: 409, code: 'INVALID_STATE' };
+  }
+
+  if (message.includes('inválid') || message.includes('requerid') || message.includes('tipo MIME')) {
+    return { statusCode: 400, code: 'INVALID_REQUEST' };
+  }
+
+  return { statusCode: 500, code: 'INTERNAL_ERROR' };
+};
+
+module.exports = {
+  resolveServiceError
+};
@@ -0,0 +1,84 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+/**
+ * Protección contra SSRF al descargar URLs indicadas por los clientes de la API.
+ * Se rechazan las direcciones de loopback, privadas, link-local (incluido el servicio de
+ * metadatos 169.254.169.254), unique-local y reservadas. La comprobación se hace al conectar,
+ * sobre la dirección ya resuelta, para que un DNS que cambia de respuesta no pueda saltársela.
+ */
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Indica si una IP pertenece a un rango no público (las IPv4 mapeadas en IPv6 también se comprueban)
+ * @param {string} address - IPv4 o IPv6
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * dns.lookup que falla si el nombre resuelve a alguna dirección no pública
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`URL inválida: ${hostname} resuelve a una dirección no pública (${blocked.address})`));
+    }
+
+    return callback(null, address, family);
+  });
+};
+
+// Agentes para axios: toda conexión por nombre pasa por guardedLookup
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Valida una URL antes de pedirla: solo http/https y, si el host es una IP literal
+ * (que no pasa por el lookup del agente), que sea pública
+ * @param {string} url - URL a validar
+ * @returns {URL} - URL parseada
+ */
+const assertPublicUrl = (url) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error('URL inválida');
+  }
+
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error('URL inválida: solo se admite http/https');
+  }
+
+  const host = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`URL inválida: ${host} no es una dirección pública`);
+  }
+
+  return parsedUrl;
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  httpAgent,
+  httpsAgent
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+/**
+ * Firma HMAC-SHA256 de los payloads enviados a webhooks y al backend.
+ * La firma cubre "<timestamp>.<body>" para que un payload capturado no pueda
+ * reutilizarse con otro timestamp. El receptor debe verificar sobre el body crudo.
+ */
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const DELIVERY_ID_HEADER = 'X-Webhook-Delivery-Id';
+const EVENT_HEADER = 'X-Webhook-Event';
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+// Antigüedad máxima aceptada del timestamp por defecto (5 minutos)
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Genera un secreto nuevo para un destino
+ * @returns {string} - Secreto con prefijo whsec_
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Clave de idempotencia estable para un mismo contenido: igual en reintentos, reenvíos
+ * desde dead-letter y en mensajes duplicados, para que el receptor pueda descartarlos
+ * @param {...string} parts - Partes que identifican el contenido (sesión, mensaje...)
+ * @returns {string} - Clave con prefijo idem_
+ */
+const buildIdempotencyKey = (...parts) => `idem_${crypto.createHash('sha256').update(parts.join(':')).digest('hex').slice(0, 32)}`;
+
+/**
+ * Calcula la firma de un body
+ * @param {string} secret - Secreto compartido con el receptor
+ * @param {number|string} timestamp - Segundos unix enviados en X-Webhook-Timestamp
+ * @param {string|Buffer} body - Body exacto que se envía
+ * @returns {string} - Firma en formato "sha256=<hex>"
+ */
+const signPayload = (secret, timestamp, body) => {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(body);
+  return `sha256=${hmac.digest('hex')}`;
+};
+
+/**
+ * Construye los headers de firma para un envío
+ * @param {Object} params - { secret, body, deliveryId, eventType, idempotencyKey }
+ * @returns {Object} - Headers a añadir a la petición
+ */
+const buildSignatureHeaders = ({ secret, body, deliveryId, eventType, idempotencyKey }) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [DELIVERY_ID_HEADER]: deliveryId
+  };
+
+  if (eventType) {
+    headers[EVENT_HEADER] = eventType;
+  }
+
+  if (idempotencyKey) {
+    headers[IDEMPOTENCY_KEY_HEADER] = idempotencyKey;
+  }
+
+  if (secret) {
+    headers[SIGNATURE_HEADER] = signPayload(secret, timestamp, body);
+  }
+
+  return headers;
+};
+
+/**
+ * Verifica la firma de una petición recibida
+ * @param {Object} params - { secret, signature, timestamp, body, toleranceSeconds, now }
+ * @returns {Object} - { valid, reason }
+ */
+const verifySignature = ({ secret, signature, timestamp, body, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) => {
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Faltan headers de firma' };
+  }
+
+  const timestampSeconds = parseInt(timestamp, 10);
+  if (isNaN(timestampSeconds)) {
+    return { valid: false, reason: 'Timestamp inválido' };
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - timestampSeconds) > toleranceSeconds) {
+    return { valid: false, reason: 'Timestamp fuera de la ventana permitida' };
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Firma inválida' };
+  }
+
+  return { valid: true, reason: null };
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_ID_HEADER,
+  EVENT_HEADER,
+  IDEMPOTENCY_KEY_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  generateSecret,
+  buildIdempotencyKey,
+  signPayload,
+  buildSignatureHeaders,
+  verifySignature
+};